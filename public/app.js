@@ -4,31 +4,69 @@ let activeFilter = 'All';
 let activeSortBy  = 'popularity';
 let activeDays    = 7;
 let activeRegion  = 'global';
-let bookmarks = new Set(JSON.parse(localStorage.getItem('cj_bookmarks') || '[]'));
+let activeLanguage = localStorage.getItem('cj_language') || 'en';
+let activeTopic   = null; // watchlist key, or null for the regular feed
+// Editor-defined regions and watchlists: { regions: [{ key, label }], watchlists: [...] }
+let customTopics  = { regions: [], watchlists: [], categories: [] };
 // true = Editor's picks stay pinned at the top (default); false = interleaved by date
 let pinnedPicksEnabled = localStorage.getItem('cj_picks_pinned') !== 'false';
 
+/* ===== Archive + search state ===== */
+let isArchiveMode  = false;
+let archiveWeekEnd = null; // UTC midnight of the last day in the week being browsed
+let searchQuery    = '';   // non-empty while showing /api/search results
+// Archive and search results are paginated server-side
+let resultsPage    = 1;
+let resultsTotal   = 0;
+// The live feed is paginated by cursor: the next page's, or null once all of it is shown
+let feedCursor     = null;
+// Bumped by every fresh load, so a page that arrives after the reader moved on is dropped
+let feedRequest    = 0;
+
+/* ===== Saved articles state ===== */
+/* Each saved article keeps a snapshot of its metadata, newest save first, so the Saved view
+   still lists it after it drops out of the feed. The old cj_bookmarks list held feed positions
+   rather than article ids, so it can't be carried over. */
+localStorage.removeItem('cj_bookmarks');
+let savedArticles = new Map(JSON.parse(localStorage.getItem('cj_saved') || '[]').map(a => [a.id, a]));
+let isSavedMode = false;
+/* Optional reader account that syncs saved articles between devices */
+let readerToken = localStorage.getItem('cj_reader_token') || '';
+let readerEmail = localStorage.getItem('cj_reader_email') || '';
+
 /* ===== Editor state ===== */
 let isEditorMode = false;
 let editorToken  = sessionStorage.getItem('cj_editor_token') || '';
+// { username, role } of the signed-in editor; role is admin, editor or viewer
+let editorProfile = JSON.parse(sessionStorage.getItem('cj_editor') || 'null');
 // curationData mirrors what the server holds — updated after every editor action
 let curationData = { hidden: [], pinned: [] };
+// Manage modal: active tab and the history filters/pagination
+let manageTab      = 'curation';
+let historyFilters = { action: '', url: '', from: '', to: '' };
+let historyPage    = 1;
 
 /* ===== DOM refs ===== */
 const feed        = document.getElementById('feed');
 const errorState  = document.getElementById('error-state');
 const errorMsg    = document.getElementById('error-msg');
 const emptyState  = document.getElementById('empty-state');
+const offlineBanner   = document.getElementById('offline-banner');
+const offlineMsg      = document.getElementById('offline-msg');
+const offlineSavedBtn = document.getElementById('offline-saved-btn');
 const refreshBtn  = document.getElementById('refresh-btn');
 const themeBtn    = document.getElementById('theme-btn');
 const retryBtn    = document.getElementById('retry-btn');
 const clearFilter = document.getElementById('clear-filter-btn');
 const articleCount= document.getElementById('article-count');
 const toast       = document.getElementById('toast');
-const filterChips = document.querySelectorAll('.filter-chip');
+const filterBar   = document.getElementById('filter-chips');
 const sortBtns    = document.querySelectorAll('[data-sort]');
 const rangeBtns   = document.querySelectorAll('[data-days]');
-const regionBtns  = document.querySelectorAll('[data-region]');
+const regionGroup = document.getElementById('region-group');
+const topicGroup  = document.getElementById('topic-group');
+const topicSep    = document.getElementById('topic-sep');
+const languageBtns = document.querySelectorAll('[data-language]');
 const brandSub    = document.getElementById('brand-sub');
 const themeIconDark  = document.getElementById('theme-icon-dark');
 const themeIconLight = document.getElementById('theme-icon-light');
@@ -36,30 +74,197 @@ const infoBtn        = document.getElementById('info-btn');
 const modalOverlay   = document.getElementById('modal-overlay');
 const modalClose     = document.getElementById('modal-close');
 const picksToggleBtn = document.getElementById('picks-toggle-btn');
+const archiveBtn     = document.getElementById('archive-btn');
+const archiveBar     = document.getElementById('archive-bar');
+const archiveRange   = document.getElementById('archive-range');
+const archivePrevBtn = document.getElementById('archive-prev-btn');
+const archiveNextBtn = document.getElementById('archive-next-btn');
+const archiveExitBtn = document.getElementById('archive-exit-btn');
+const loadMore       = document.getElementById('load-more');
+const loadMoreBtn    = document.getElementById('load-more-btn');
+const feedStatus     = document.getElementById('feed-status');
+const searchBtn      = document.getElementById('search-btn');
+const searchBar      = document.getElementById('search-bar');
+const searchForm     = document.getElementById('search-form');
+const searchInput    = document.getElementById('search-input');
+const searchClearBtn = document.getElementById('search-clear-btn');
+const savedBtn       = document.getElementById('saved-btn');
+const savedBar       = document.getElementById('saved-bar');
+const savedSync      = document.getElementById('saved-sync');
+const savedEmpty     = document.getElementById('saved-empty');
+const savedExitBtn   = document.getElementById('saved-exit-btn');
+const accountBtn     = document.getElementById('account-btn');
+const accountOverlay = document.getElementById('account-overlay');
+const accountClose   = document.getElementById('account-close');
+const accountForm    = document.getElementById('account-form');
+const accountEmail   = document.getElementById('account-email');
+const accountPassword = document.getElementById('account-password');
+const accountError   = document.getElementById('account-error');
+const accountRegisterBtn = document.getElementById('account-register-btn');
+const digestLink     = document.getElementById('digest-link');
+const digestOverlay  = document.getElementById('digest-overlay');
+const digestClose    = document.getElementById('digest-close');
+const digestForm     = document.getElementById('digest-form');
+const digestEmail    = document.getElementById('digest-email');
+const digestScope    = document.getElementById('digest-scope');
+const digestError    = document.getElementById('digest-error');
+const digestSubmit   = document.getElementById('digest-submit');
+const digestDone     = document.getElementById('digest-done');
+const tipLink        = document.getElementById('tip-link');
+const tipOverlay     = document.getElementById('tip-overlay');
+const tipClose       = document.getElementById('tip-close');
+const tipForm        = document.getElementById('tip-form');
+const tipUrl         = document.getElementById('tip-url');
+const tipNote        = document.getElementById('tip-note');
+const tipWebsite     = document.getElementById('tip-website');
+const tipError       = document.getElementById('tip-error');
+const tipSubmit      = document.getElementById('tip-submit');
+const tipDone        = document.getElementById('tip-done');
+const frequencyBtns  = document.querySelectorAll('[data-frequency]');
+const alertsLink     = document.getElementById('alerts-link');
+const alertsFooter   = document.querySelectorAll('.alerts-footer');
+const alertsOverlay  = document.getElementById('alerts-overlay');
+const alertsClose    = document.getElementById('alerts-close');
+const alertsForm     = document.getElementById('alerts-form');
+const alertsRegions  = document.getElementById('alerts-regions');
+const alertsCategories = document.getElementById('alerts-categories');
+const alertsQuiet    = document.getElementById('alerts-quiet');
+const alertsQuietTimes = document.getElementById('alerts-quiet-times');
+const alertsQuietStart = document.getElementById('alerts-quiet-start');
+const alertsQuietEnd = document.getElementById('alerts-quiet-end');
+const alertsScope    = document.getElementById('alerts-scope');
+const alertsError    = document.getElementById('alerts-error');
+const alertsSubmit   = document.getElementById('alerts-submit');
+const alertsOff      = document.getElementById('alerts-off');
 
 /* Editor DOM refs */
 const editorBanner       = document.getElementById('editor-banner');
 const editorCounts       = document.getElementById('editor-counts');
 const editorManageBtn    = document.getElementById('editor-manage-btn');
+const editorAddBtn       = document.getElementById('editor-add-btn');
 const editorExitBtn      = document.getElementById('editor-exit-btn');
+const editorLogoutBtn    = document.getElementById('editor-logout-btn');
+const editorWho          = document.getElementById('editor-who');
 const editorLoginOverlay = document.getElementById('editor-login-overlay');
 const editorLoginClose   = document.getElementById('editor-login-close');
-const editorTokenInput   = document.getElementById('editor-token-input');
+const editorUserInput    = document.getElementById('editor-username-input');
+const editorPassInput    = document.getElementById('editor-password-input');
 const editorLoginSubmit  = document.getElementById('editor-login-submit');
 const editorLoginError   = document.getElementById('editor-login-error');
 const editorManageOverlay= document.getElementById('editor-manage-overlay');
 const editorManageClose  = document.getElementById('editor-manage-close');
 const editorManageBody   = document.getElementById('editor-manage-body');
+const editorPinOverlay   = document.getElementById('editor-pin-overlay');
+const editorPinClose     = document.getElementById('editor-pin-close');
+const editorPinForm      = document.getElementById('editor-pin-form');
+const editorPinTitle     = document.getElementById('editor-pin-title');
+const editorPinArticle   = document.getElementById('editor-pin-article');
+const editorPinError     = document.getElementById('editor-pin-error');
+const editorPinSubmit    = document.getElementById('editor-pin-submit');
+const pinNoteInput       = document.getElementById('pin-note-input');
+const pinStartInput      = document.getElementById('pin-start-input');
+const pinExpiresInput    = document.getElementById('pin-expires-input');
+const editorAddOverlay   = document.getElementById('editor-add-overlay');
+const editorAddClose     = document.getElementById('editor-add-close');
+const editorAddForm      = document.getElementById('editor-add-form');
+const editorAddTitle     = document.getElementById('editor-add-title');
+const editorAddError     = document.getElementById('editor-add-error');
+const editorAddSubmit    = document.getElementById('editor-add-submit');
+const editorAddPin       = document.getElementById('editor-add-pin');
+const addUrlInput        = document.getElementById('add-url-input');
+const addLookupBtn       = document.getElementById('add-lookup-btn');
+const addLookupStatus    = document.getElementById('add-lookup-status');
+const addFields          = document.getElementById('add-fields');
+const addActions         = document.getElementById('add-actions');
+const addTitleInput      = document.getElementById('add-title-input');
+const addSourceInput     = document.getElementById('add-source-input');
+const addAuthorInput     = document.getElementById('add-author-input');
+const addDescriptionInput= document.getElementById('add-description-input');
+const addImageInput      = document.getElementById('add-image-input');
+const addPublishedInput  = document.getElementById('add-published-input');
+const addCategoryInput   = document.getElementById('add-category-input');
+const addLanguageInput   = document.getElementById('add-language-input');
+const addRegions         = document.getElementById('add-regions');
+
+/* ===== i18n ===== */
+/* Interface strings live in /locales/<locale>.json, with English as the fallback for missing
+   keys. Plural messages are objects keyed by Intl.PluralRules category ({ one, few, other, … }).
+   Static markup opts in with data-i18n="key" (text) or data-i18n-attr="title:key;aria-label:key".
+   The interface locale is separate from the feed language (activeLanguage). */
+const SUPPORTED_LOCALES = ['en', 'es', 'fr', 'pt', 'ar'];
+const RTL_LANGUAGES = ['ar'];
+const catalogs = new Map(); // locale → messages, fetched once
+let uiLocale = 'en';
+let messages = {};
+let numberFormat = new Intl.NumberFormat('en');
+let pluralRules  = new Intl.PluralRules('en');
+let relativeTime = new Intl.RelativeTimeFormat('en', { numeric: 'auto', style: 'short' });
+
+/* Saved choice first, then the browser's preferred languages */
+function detectLocale() {
+  const saved = localStorage.getItem('cj_locale');
+  if (SUPPORTED_LOCALES.includes(saved)) return saved;
+  const preferred = (navigator.languages || [navigator.language]).map(l => String(l).split('-')[0].toLowerCase());
+  return preferred.find(l => SUPPORTED_LOCALES.includes(l)) || 'en';
+}
+
+async function loadCatalog(locale) {
+  if (!catalogs.has(locale)) {
+    const res = await fetch(`/locales/${locale}.json`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    catalogs.set(locale, await res.json());
+  }
+  return catalogs.get(locale);
+}
+
+async function setLocale(locale) {
+  await loadCatalog('en');
+  messages = await loadCatalog(locale);
+  uiLocale = locale;
+  numberFormat = new Intl.NumberFormat(locale);
+  pluralRules  = new Intl.PluralRules(locale);
+  relativeTime = new Intl.RelativeTimeFormat(locale, { numeric: 'auto', style: 'short' });
+  document.documentElement.lang = locale;
+  document.documentElement.dir  = RTL_LANGUAGES.includes(locale) ? 'rtl' : 'ltr';
+  applyTranslations();
+}
+
+/* t('count.articles', { count: 3 }) → "3 articles"; numbers are formatted for the locale */
+function t(key, vars = {}) {
+  let msg = messages[key] ?? catalogs.get('en')?.[key] ?? key;
+  if (typeof msg === 'object') msg = msg[pluralRules.select(vars.count)] ?? msg.other;
+  return msg.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in vars)) return match;
+    return typeof vars[name] === 'number' ? numberFormat.format(vars[name]) : vars[name];
+  });
+}
+
+/* Category names come from the server; unknown ones are shown as-is */
+function categoryLabel(name) {
+  const key = `category.${name}`;
+  const label = t(key);
+  return label === key ? name : label;
+}
+
+function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+    el.dataset.i18nAttr.split(';').forEach(pair => {
+      const [attr, key] = pair.split(':');
+      el.setAttribute(attr, t(key));
+    });
+  });
+}
 
 /* ===== Helpers ===== */
 function timeAgo(iso) {
   const diff = Date.now() - new Date(iso).getTime();
   const h = Math.floor(diff / 3_600_000);
   const d = Math.floor(diff / 86_400_000);
-  if (h < 1)  return 'Just now';
-  if (h < 24) return `${h}h ago`;
-  if (d < 7)  return `${d}d ago`;
-  return new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  if (h < 1)  return t('time.justNow');
+  if (h < 24) return relativeTime.format(-h, 'hour');
+  if (d < 7)  return relativeTime.format(-d, 'day');
+  return new Date(iso).toLocaleDateString(uiLocale, { month: 'short', day: 'numeric' });
 }
 
 function initials(name) {
@@ -89,6 +294,8 @@ function showToast(msg, duration = 2400) {
 function applyTheme(theme) {
   document.documentElement.setAttribute('data-theme', theme);
   localStorage.setItem('cj_theme', theme);
+  /* Browser chrome of the installed app follows the page background */
+  document.querySelector('meta[name="theme-color"]').content = theme === 'dark' ? '#0f1117' : '#f3f4f8';
   if (theme === 'dark') {
     themeIconDark.style.display  = '';
     themeIconLight.style.display = 'none';
@@ -113,20 +320,29 @@ function createCard(article) {
   const a = document.createElement('a');
   a.className = 'card';
   if (article.pinned) a.classList.add('card--pinned');
+  if (article.id === highlightId) a.classList.add('card--highlight');
   a.href = article.url;
   a.target = '_blank';
   a.rel = 'noopener noreferrer';
   a.dataset.id  = article.id;
   a.dataset.url = article.url;
   a.dataset.category = article.category;
+  /* Cards follow their article's language, so Arabic stories read right-to-left */
+  if (article.language) a.lang = article.language;
+  if (RTL_LANGUAGES.includes(article.language)) a.dir = 'rtl';
 
   const faviconUrl = getFaviconUrl(article.url);
-  const isBookmarked = bookmarks.has(String(article.id));
+  const isBookmarked = savedArticles.has(article.id);
   const isPinned = !!article.pinned;
+  const related = article.related || [];
+  const labels = article.categories || [];
+  const labelTitle = labels.length > 1
+    ? t('card.alsoIn', { categories: labels.slice(1).map(c => categoryLabel(c.name)).join(', ') })
+    : article.categoryOverride ? t('card.categorySetByEditor') : '';
 
   a.innerHTML = `
     <div class="card-body">
-      ${isPinned ? `<div class="pinned-bar"><svg width="11" height="11" viewBox="0 0 24 24" fill="currentColor"><path d="M16 3a1 1 0 0 1 .7 1.7l-1.4 1.4 1 3.6a1 1 0 0 1-.3 1l-3 2.6V17a1 1 0 0 1-.3.7l-2 2a1 1 0 0 1-1.5-1.3l.1-.1 1.7-1.7v-4.3a1 1 0 0 1 .3-.7l3-2.6-.9-3.3 1.5-1.5A1 1 0 0 1 16 3zm-5.7 11.6L4 21.3a1 1 0 0 0 1.3 1.5l.1-.1 6.3-6.3-1.4-.8z"/></svg> Editor's pick${article.note ? ` · <span class="pinned-note">${escHtml(article.note)}</span>` : ''}</div>` : ''}
+      ${isPinned ? `<div class="pinned-bar"><svg width="11" height="11" viewBox="0 0 24 24" fill="currentColor"><path d="M16 3a1 1 0 0 1 .7 1.7l-1.4 1.4 1 3.6a1 1 0 0 1-.3 1l-3 2.6V17a1 1 0 0 1-.3.7l-2 2a1 1 0 0 1-1.5-1.3l.1-.1 1.7-1.7v-4.3a1 1 0 0 1 .3-.7l3-2.6-.9-3.3 1.5-1.5A1 1 0 0 1 16 3zm-5.7 11.6L4 21.3a1 1 0 0 0 1.3 1.5l.1-.1 6.3-6.3-1.4-.8z"/></svg> ${escHtml(t('card.editorsPick'))}${article.note ? ` · <span class="pinned-note">${escHtml(article.note)}</span>` : ''}</div>` : ''}
       <div class="card-meta">
         <div class="source-avatar">
           ${faviconUrl
@@ -138,56 +354,65 @@ function createCard(article) {
           <div class="source-name">${escHtml(article.source)}</div>
           <div class="source-time">${timeAgo(article.publishedAt)}</div>
         </div>
-        <span class="category-badge">${escHtml(article.category)}</span>
+        <span class="category-badge"${labelTitle ? ` title="${escHtml(labelTitle)}"` : ''}>${escHtml(categoryLabel(article.category))}${labels.length > 1 ? ` <span class="category-more">+${numberFormat.format(labels.length - 1)}</span>` : ''}</span>
       </div>
-      <h2 class="card-title">${escHtml(article.title)}</h2>
+      <h2 class="card-title">${article.highlight ? highlightHtml(article.highlight.title) : escHtml(article.title)}</h2>
     </div>
     ${article.image ? `<img class="card-image" src="${escHtml(article.image)}" alt="" loading="lazy" onerror="this.remove()">` : ''}
-    ${article.description ? `<p class="card-desc">${escHtml(article.description)}</p>` : ''}
+    ${article.description ? `<p class="card-desc">${article.highlight ? highlightHtml(article.highlight.description) : escHtml(article.description)}</p>` : ''}
+    ${related.length ? `
+    <div class="card-related">
+      <button class="related-toggle" aria-expanded="false">
+        <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"/></svg>
+        ${escHtml(t('card.moreSources', { count: related.length }))}
+      </button>
+      <ul class="related-list" hidden>
+        ${related.map(r => `
+        <li><button class="related-link" data-url="${escHtml(r.url)}" title="${escHtml(r.title)}">
+          <span class="related-source">${escHtml(r.source)}</span>
+          <span class="related-title">${escHtml(r.title)}</span>
+        </button></li>`).join('')}
+      </ul>
+    </div>` : ''}
     <div class="card-footer">
       <span class="read-time">
         <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>
-        ${article.readTime} min read
+        ${escHtml(t('card.minRead', { count: article.readTime }))}
       </span>
-      <button class="card-action bookmark-btn ${isBookmarked ? 'bookmarked' : ''}" data-id="${article.id}" title="Bookmark">
+      <button class="card-action bookmark-btn ${isBookmarked ? 'bookmarked' : ''}" data-id="${article.id}" title="${escHtml(t('card.bookmark'))}">
         <svg width="14" height="14" viewBox="0 0 24 24" fill="${isBookmarked ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>
-        ${isBookmarked ? 'Saved' : 'Save'}
+        <span class="bookmark-label">${escHtml(t(isBookmarked ? 'card.saved' : 'card.save'))}</span>
       </button>
-      <button class="card-action share-btn" data-url="${escHtml(article.url)}" data-title="${escHtml(article.title)}" title="Share">
+      <button class="card-action share-btn" data-url="${escHtml(`${location.origin}/a/${article.id}`)}" data-title="${escHtml(article.title)}" title="${escHtml(t('card.share'))}">
         <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><line x1="8.59" y1="13.51" x2="15.42" y2="17.49"/><line x1="15.41" y1="6.51" x2="8.59" y2="10.49"/></svg>
-        Share
+        ${escHtml(t('card.share'))}
       </button>
-      <button class="card-open-btn" title="Open article">
-        Read
+      <button class="card-open-btn" title="${escHtml(t('card.open'))}">
+        ${escHtml(t('card.read'))}
         <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="7" y1="17" x2="17" y2="7"/><polyline points="7 7 17 7 17 17"/></svg>
       </button>
     </div>
   `;
 
-  /* Bookmark button */
-  a.querySelector('.bookmark-btn').addEventListener('click', e => {
+  /* Bookmark button — updates at once, and rolls back if the account sync fails */
+  a.querySelector('.bookmark-btn').addEventListener('click', async e => {
     e.preventDefault();
     e.stopPropagation();
-    const id = String(article.id);
     const btn = e.currentTarget;
-    const svg = btn.querySelector('svg');
-    if (bookmarks.has(id)) {
-      bookmarks.delete(id);
-      btn.classList.remove('bookmarked');
-      svg.setAttribute('fill', 'none');
-      btn.innerHTML = btn.innerHTML.replace('Saved', 'Save');
-      showToast('Removed from saved');
-    } else {
-      bookmarks.add(id);
-      btn.classList.add('bookmarked');
-      svg.setAttribute('fill', 'currentColor');
-      btn.innerHTML = btn.innerHTML.replace('Save', 'Saved');
-      showToast('Saved to bookmarks');
+    const saved = !savedArticles.has(article.id);
+    setBookmarkButton(btn, saved);
+    showToast(t(saved ? 'toast.saved' : 'toast.unsaved'));
+    try {
+      await setSaved(article, saved);
+    } catch {
+      setBookmarkButton(btn, !saved);
+      showToast(t('toast.syncFailed'));
     }
-    localStorage.setItem('cj_bookmarks', JSON.stringify([...bookmarks]));
+    if (isSavedMode) renderSaved();
   });
 
-  /* Share button */
+  /* Share button — hands out the story's share page (/a/:id), which previews it in link
+     unfurls and opens it highlighted in the feed */
   a.querySelector('.share-btn').addEventListener('click', async e => {
     e.preventDefault();
     e.stopPropagation();
@@ -198,13 +423,33 @@ function createCard(article) {
     } else {
       try {
         await navigator.clipboard.writeText(url);
-        showToast('Link copied to clipboard');
+        showToast(t('toast.linkCopied'));
       } catch {
-        showToast('Unable to copy link');
+        showToast(t('toast.copyFailed'));
       }
     }
   });
 
+  /* Related sources expander — links are buttons because the card itself is an <a> */
+  if (related.length) {
+    const toggle = a.querySelector('.related-toggle');
+    const list   = a.querySelector('.related-list');
+    toggle.addEventListener('click', e => {
+      e.preventDefault();
+      e.stopPropagation();
+      const open = toggle.getAttribute('aria-expanded') !== 'true';
+      toggle.setAttribute('aria-expanded', String(open));
+      list.hidden = !open;
+    });
+    list.querySelectorAll('.related-link').forEach(btn => {
+      btn.addEventListener('click', e => {
+        e.preventDefault();
+        e.stopPropagation();
+        window.open(btn.dataset.url, '_blank', 'noopener,noreferrer');
+      });
+    });
+  }
+
   /* Open btn — card is already an <a>, button just signals intent visually */
   a.querySelector('.card-open-btn').addEventListener('click', e => {
     e.preventDefault();
@@ -212,8 +457,8 @@ function createCard(article) {
     window.open(article.url, '_blank', 'noopener,noreferrer');
   });
 
-  /* Editor toolbar — injected when editor mode is active */
-  if (isEditorMode) {
+  /* Editor toolbar — injected when editor mode is active (not for read-only viewers) */
+  if (isEditorMode && canCurate()) {
     const toolbar = document.createElement('div');
     toolbar.className = 'editor-toolbar';
 
@@ -241,7 +486,7 @@ function createCard(article) {
       toolbar.querySelector('.editor-pin-btn').addEventListener('click', e => {
         e.preventDefault();
         e.stopPropagation();
-        editorPin(article);
+        openPinDialog(article);
       });
       toolbar.querySelector('.editor-hide-btn').addEventListener('click', e => {
         e.preventDefault();
@@ -250,6 +495,28 @@ function createCard(article) {
       });
     }
 
+    /* Articles added by editors can be corrected after the fact */
+    if (article.manual) {
+      toolbar.insertAdjacentHTML('beforeend', `
+        <button class="editor-btn editor-edit-added-btn" title="Edit added article">Edit</button>`);
+      toolbar.querySelector('.editor-edit-added-btn').addEventListener('click', e => {
+        e.preventDefault();
+        e.stopPropagation();
+        openAddArticle(curationData.added?.find(m => m.url === article.url) || article);
+      });
+    }
+
+    /* Category override — "Auto" hands the article back to the classifier */
+    toolbar.insertAdjacentHTML('beforeend', `
+      <select class="editor-category-select" title="Change category" aria-label="Category">
+        <option value="">${article.categoryOverride ? 'Auto' : `Auto (${escHtml(article.category)})`}</option>
+        ${customTopics.categories.map(c => `
+          <option${article.categoryOverride && c === article.category ? ' selected' : ''}>${escHtml(c)}</option>`).join('')}
+      </select>`);
+    const categorySelect = toolbar.querySelector('.editor-category-select');
+    categorySelect.addEventListener('click', e => { e.preventDefault(); e.stopPropagation(); });
+    categorySelect.addEventListener('change', () => editorSetCategory(article, categorySelect.value));
+
     a.appendChild(toolbar);
   }
 
@@ -264,11 +531,31 @@ function escHtml(str) {
     .replace(/"/g, '&quot;');
 }
 
+/* Search results wrap matched terms in ⟦…⟧ (see /api/search); escape first, then mark up */
+function highlightHtml(str) {
+  return escHtml(str).replace(/⟦/g, '<mark>').replace(/⟧/g, '</mark>');
+}
+
+function setBookmarkButton(btn, saved) {
+  btn.classList.toggle('bookmarked', saved);
+  btn.querySelector('svg').setAttribute('fill', saved ? 'currentColor' : 'none');
+  btn.querySelector('.bookmark-label').textContent = t(saved ? 'card.saved' : 'card.save');
+}
+
+function isPagedView() {
+  return isArchiveMode || !!searchQuery;
+}
+
+function hasMorePages() {
+  if (isSavedMode) return false;
+  return isPagedView() ? allArticles.length < resultsTotal : !!feedCursor;
+}
+
 /* ===== Render filtered feed ===== */
-function renderFeed() {
+function visibleArticles(articles) {
   let filtered = activeFilter === 'All'
-    ? allArticles
-    : allArticles.filter(a => a.category === activeFilter);
+    ? articles
+    : articles.filter(a => a.category === activeFilter || a.categories?.some(c => c.name === activeFilter));
 
   // When picks are unpinned, interleave Editor's picks by publishedAt so they
   // aren't forced to the top — they still display with the "Editor's pick" badge.
@@ -277,45 +564,154 @@ function renderFeed() {
       new Date(b.publishedAt) - new Date(a.publishedAt)
     );
   }
+  return filtered;
+}
+
+function renderFeed() {
+  const filtered = visibleArticles(allArticles);
 
   feed.innerHTML = '';
   errorState.style.display  = 'none';
   emptyState.style.display  = 'none';
+  savedEmpty.style.display  = 'none';
+  loadMore.style.display    = hasMorePages() ? '' : 'none';
+  watchLoadMore();
 
   if (filtered.length === 0) {
-    emptyState.style.display = 'flex';
-    articleCount.textContent = '0 articles';
+    (isSavedMode && !allArticles.length ? savedEmpty : emptyState).style.display = 'flex';
+    articleCount.textContent = t(isSavedMode ? 'count.saved' : 'count.articles', { count: 0 });
     return;
   }
 
   const frag = document.createDocumentFragment();
   filtered.forEach(a => frag.appendChild(createCard(a)));
   feed.appendChild(frag);
-  articleCount.textContent = `${filtered.length} article${filtered.length !== 1 ? 's' : ''}`;
+  updateArticleCount();
+}
+
+/* Add the next page below the cards already shown, without building those again.
+   Returns the articles that got a card. */
+function appendCards(articles) {
+  allArticles = [...allArticles, ...articles];
+  const shown = visibleArticles(articles);
+  const frag = document.createDocumentFragment();
+  shown.forEach(a => frag.appendChild(createCard(a)));
+  feed.appendChild(frag);
+  loadMore.style.display = hasMorePages() ? '' : 'none';
+  updateArticleCount();
+  return shown;
+}
+
+function updateArticleCount() {
+  const shown = feed.querySelectorAll('.card:not(.card--removing)').length;
+  articleCount.textContent = isSavedMode ? t('count.saved', { count: shown })
+    : searchQuery ? t('count.results', { shown, total: resultsTotal })
+    : isArchiveMode ? t('count.archived', { shown, total: resultsTotal })
+    : t('count.articles', { count: shown });
+}
+
+/* ── Infinite scroll ── */
+/* The next page loads as the Load more button comes near the viewport. The button stays as the
+   way on for keyboard and screen-reader users, and each page is announced in #feed-status. */
+const moreObserver = 'IntersectionObserver' in window
+  ? new IntersectionObserver(entries => {
+    if (entries.some(e => e.isIntersecting)) loadNextPage();
+  }, { rootMargin: '800px 0px' })
+  : null;
+let isLoadingMore = false;
+
+/* Observing afresh reports where the button is now, so a page too short to push it out of
+   reach loads the next one as well */
+function watchLoadMore() {
+  if (!moreObserver) return;
+  moreObserver.unobserve(loadMore);
+  if (hasMorePages()) moreObserver.observe(loadMore);
+}
+
+async function loadNextPage({ focus = false } = {}) {
+  if (isLoadingMore || !hasMorePages()) return;
+  isLoadingMore = true;
+  loadMoreBtn.disabled = true;
+  feed.setAttribute('aria-busy', 'true');
+  const before = feed.querySelectorAll('.card').length;
+  const shown = await (searchQuery ? fetchSearch(true) : isArchiveMode ? fetchArchive(true) : fetchMoreNews());
+  isLoadingMore = false;
+  loadMoreBtn.disabled = false;
+  feed.removeAttribute('aria-busy');
+  if (!shown) return; // failed or dropped: the button stays for another try
+  feedStatus.textContent = t('feed.moreLoaded', { count: shown.length });
+  /* Pressing the button moves focus to the first new story, since the button may be gone */
+  if (focus) feed.querySelectorAll('.card')[before]?.focus();
+  watchLoadMore();
 }
 
 /* ===== Subtitle helper ===== */
-const REGION_LABELS = {
-  global:   'Global',
-  americas: 'Americas',
-  africa:   'Africa',
-  asia:     'Asia Pacific',
-  europe:   'Europe',
-  mena:     'MENA',
+
+const LANGUAGE_LABELS = {
+  en: 'English',
+  es: 'Español',
+  fr: 'Français',
+  pt: 'Português',
+  ar: 'العربية',
 };
 
+/* Custom regions carry their own label; built-in ones are translated */
+function regionLabelFor(key) {
+  return customTopics.regions.find(r => r.key === key)?.label || t(`region.${key}`);
+}
+
+/* Built-in and custom region keys, without the global feed */
+function selectableRegions() {
+  return [
+    ...[...regionGroup.querySelectorAll('[data-region]:not([data-custom])')].map(b => b.dataset.region).filter(r => r !== 'global'),
+    ...customTopics.regions.map(r => r.key),
+  ];
+}
+
 function updateSubtitle() {
-  const sortLabel  = activeSortBy === 'popularity' ? 'Top' : 'Latest';
-  const rangeLabel = activeDays === 1 ? '24h'
-    : activeDays === 3 ? '3 days'
-    : activeDays === 7 ? '7 days'
-    : '30 days';
-  const regionLabel = REGION_LABELS[activeRegion] || 'Global';
-  brandSub.textContent = `${sortLabel} · ${rangeLabel} · ${regionLabel}`;
+  const topicLabel    = customTopics.watchlists.find(w => w.key === activeTopic)?.label;
+  const regionLabel   = regionLabelFor(activeRegion) + (topicLabel ? ` · ${topicLabel}` : '');
+  const languageLabel = activeLanguage !== 'en' ? ` · ${LANGUAGE_LABELS[activeLanguage]}` : '';
+  if (isSavedMode) {
+    brandSub.textContent = t('subtitle.saved');
+    return;
+  }
+  if (searchQuery) {
+    brandSub.textContent = `${t('subtitle.search', { query: searchQuery })} · ${regionLabel}${languageLabel}`;
+    return;
+  }
+  if (isArchiveMode) {
+    brandSub.textContent = `${t('subtitle.archive')} · ${archiveRange.textContent} · ${regionLabel}${languageLabel}`;
+    return;
+  }
+  const sortLabel  = t(`sort.${activeSortBy}`);
+  const rangeLabel = activeDays === 1 ? t('subtitle.24h') : t('subtitle.days', { count: activeDays });
+  brandSub.textContent = `${sortLabel} · ${rangeLabel} · ${regionLabel}${languageLabel}`;
 }
 
 /* ===== Fetch news ===== */
+/* Cards per /api/news page (the server renders as many into the page, see INDEX_PAGE_SIZE) */
+const FEED_PAGE_SIZE = 20;
+
+function newsParams() {
+  const params = new URLSearchParams({
+    sortBy: activeSortBy, days: activeDays, region: activeRegion, language: activeLanguage, limit: FEED_PAGE_SIZE,
+  });
+  if (activeTopic) params.set('topic', activeTopic);
+  if (activeFilter !== 'All') params.set('category', activeFilter);
+  return params;
+}
+
 async function fetchNews(force = false) {
+  const request = ++feedRequest;
+  hideOfflineBanner();
+  if (isSavedMode) {
+    renderSaved();
+    return syncSaved();
+  }
+  if (searchQuery) return fetchSearch();
+  if (isArchiveMode) return fetchArchive();
+
   refreshBtn.classList.add('spinning');
   errorState.style.display = 'none';
   emptyState.style.display = 'none';
@@ -337,292 +733,2142 @@ async function fetchNews(force = false) {
   updateSubtitle();
 
   try {
-    const params = new URLSearchParams({ sortBy: activeSortBy, days: activeDays, region: activeRegion });
-    if (force) params.set('force', '1');
-    const res  = await fetch(`/api/news?${params}`);
+    const params = newsParams();
+    /* The server pre-fetches every combination; only editors can force an upstream refresh */
+    const forced = force && !!editorToken;
+    if (forced) params.set('force', '1');
+    const headers = forced ? { 'X-Editor-Token': editorToken } : {};
+    const res  = await fetch(`/api/news?${params}`, { headers });
     const data = await res.json();
 
     if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    if (request !== feedRequest) return;
 
     allArticles = data.articles;
+    feedCursor  = data.nextCursor;
     renderFeed();
+    showHighlight();
+    if (res.headers.get('X-Offline-Cache')) showOfflineBanner(data.updatedAt);
 
-    if (force) showToast(data.cached ? 'Feed is up to date' : 'Feed refreshed');
+    if (force) showToast(t(data.cached ? 'toast.upToDate' : 'toast.refreshed'));
   } catch (err) {
+    if (request !== feedRequest) return;
     feed.innerHTML = '';
-    errorState.style.display = 'flex';
-    errorMsg.textContent = err.message || 'Unable to connect to the server.';
+    feedCursor = null;
+    loadMore.style.display = 'none';
+    /* fetch() only rejects with a TypeError when the network is unreachable */
+    if (err instanceof TypeError) {
+      showOfflineBanner(null);
+    } else {
+      errorState.style.display = 'flex';
+      errorMsg.textContent = err.message || t('error.offline');
+    }
   } finally {
     refreshBtn.classList.remove('spinning');
   }
 }
 
-/* ===== Filter chips ===== */
-filterChips.forEach(chip => {
-  chip.addEventListener('click', () => {
-    filterChips.forEach(c => c.classList.remove('active'));
-    chip.classList.add('active');
-    activeFilter = chip.dataset.filter;
-    renderFeed();
-  });
-});
+/* The next page of the live feed. The cursor keeps pages from repeating or skipping stories when
+   the feed changes in between; the id check covers a story shown ahead of its page (?article=).
+   Resolves to the articles that got a card, or null when the page failed or is no longer wanted. */
+async function fetchMoreNews() {
+  const request = feedRequest;
+  try {
+    const params = newsParams();
+    params.set('cursor', feedCursor);
+    const res  = await fetch(`/api/news?${params}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    if (request !== feedRequest) return null;
+    feedCursor = data.nextCursor;
+    const known = new Set(allArticles.map(a => a.id));
+    return appendCards(data.articles.filter(a => !known.has(a.id)));
+  } catch (err) {
+    if (request === feedRequest) showToast(`Error: ${err.message}`);
+    return null;
+  }
+}
 
-clearFilter.addEventListener('click', () => {
-  filterChips.forEach(c => c.classList.remove('active'));
-  document.querySelector('[data-filter="All"]').classList.add('active');
-  activeFilter = 'All';
+/* The server renders the first page of the feed the URL asks for into the page (see renderIndex
+   in server.js) and embeds the same articles and cursor as JSON, so it needs no request. Cards are built
+   again from the JSON because they need their listeners. Nothing is used when the state differs
+   (e.g. a stored feed language the URL doesn't name) or when offline, where the page may be an
+   old copy from the service worker and fetchNews() can say so. */
+function hydrateFeed() {
+  const embedded = document.getElementById('initial-feed');
+  if (!embedded) return false;
+  embedded.remove(); // only the first render may use it
+  const { params, category, articles, nextCursor } = JSON.parse(embedded.textContent);
+  if (isSavedMode || isPagedView() || !navigator.onLine) return false;
+  if (params.sortBy !== activeSortBy || params.days !== activeDays || params.region !== activeRegion ||
+      params.language !== activeLanguage || params.topic !== activeTopic || (category || 'All') !== activeFilter) return false;
+  feedRequest++;
+  allArticles = articles;
+  feedCursor  = nextCursor;
+  updateSubtitle();
   renderFeed();
-});
-
-/* ===== Sort buttons ===== */
-sortBtns.forEach(btn => {
-  btn.addEventListener('click', () => {
-    if (btn.dataset.sort === activeSortBy) return;
-    sortBtns.forEach(b => b.classList.remove('active'));
-    btn.classList.add('active');
-    activeSortBy = btn.dataset.sort;
-    allArticles = [];
-    fetchNews(true);
-  });
-});
-
-/* ===== Range buttons ===== */
-rangeBtns.forEach(btn => {
-  btn.addEventListener('click', () => {
-    const d = Number(btn.dataset.days);
-    if (d === activeDays) return;
-    rangeBtns.forEach(b => b.classList.remove('active'));
-    btn.classList.add('active');
-    activeDays = d;
-    allArticles = [];
-    fetchNews(true);
-  });
-});
-
-/* ===== Region buttons ===== */
-regionBtns.forEach(btn => {
-  btn.addEventListener('click', () => {
-    if (btn.dataset.region === activeRegion) return;
-    regionBtns.forEach(b => b.classList.remove('active'));
-    btn.classList.add('active');
-    activeRegion = btn.dataset.region;
-    allArticles = [];
-    fetchNews(true);
-  });
-});
-
-/* ===== Refresh button ===== */
-refreshBtn.addEventListener('click', () => fetchNews(true));
-retryBtn.addEventListener('click', () => fetchNews(true));
+  showHighlight();
+  return true;
+}
 
-/* ===== Info modal ===== */
-function openModal() {
-  modalOverlay.style.display = 'flex';
-  document.body.style.overflow = 'hidden';
-  modalClose.focus();
+/* ===== Offline ===== */
+/* When the network is down, the service worker (sw.js) answers /api/news with the last copy it
+   cached for the same feed, or nothing if this feed was never loaded (archive and search are
+   never cached). Either way the banner explains what's shown and points to the Saved view,
+   which works from localStorage. */
+let offlineUpdatedAt = null;
+
+function showOfflineBanner(updatedAt) {
+  offlineUpdatedAt = updatedAt;
+  offlineMsg.textContent = updatedAt ? t('offline.cached', { time: timeAgo(updatedAt) }) : t('offline.noCache');
+  offlineSavedBtn.style.display = savedArticles.size ? '' : 'none';
+  offlineBanner.style.display = 'flex';
 }
 
-function closeModal() {
-  modalOverlay.style.display = 'none';
-  document.body.style.overflow = '';
+function hideOfflineBanner() {
+  offlineBanner.style.display = 'none';
 }
 
-infoBtn.addEventListener('click', openModal);
-modalClose.addEventListener('click', closeModal);
-modalOverlay.addEventListener('click', e => { if (e.target === modalOverlay) closeModal(); });
+offlineSavedBtn.addEventListener('click', enterSavedMode);
 
-/* ===== Keyboard shortcuts ===== */
-document.addEventListener('keydown', e => {
-  if (e.key === 'Escape') {
-    if (modalOverlay.style.display !== 'none') { closeModal(); return; }
-    if (editorLoginOverlay.style.display !== 'none') { closeEditorLogin(); return; }
-    if (editorManageOverlay.style.display !== 'none') { closeEditorManage(); return; }
-  }
-  if (e.key === 'r' || e.key === 'R') {
-    if (document.activeElement.tagName !== 'INPUT' && document.activeElement.tagName !== 'TEXTAREA') {
-      fetchNews(true);
-    }
-  }
-  /* Ctrl+Shift+E → toggle editor mode */
-  if ((e.key === 'E' || e.key === 'e') && e.ctrlKey && e.shiftKey) {
-    e.preventDefault();
-    toggleEditorMode();
-  }
+/* Reload the live feed as soon as the connection is back */
+window.addEventListener('online', () => {
+  if (offlineBanner.style.display === 'none') return;
+  showToast(t('toast.online'));
+  fetchNews();
 });
 
-/* ===== Sync main padding-top to sticky stack height ===== */
-const stickyStack = document.getElementById('sticky-stack');
-const mainEl = document.querySelector('.main');
+/* ===== Archive ===== */
+const DAY_MS = 86_400_000;
 
-function syncPadding() {
-  mainEl.style.paddingTop = (stickyStack.offsetHeight + 20) + 'px';
+function isoDay(date) {
+  return date.toISOString().split('T')[0];
 }
 
-const resizeObserver = new ResizeObserver(syncPadding);
-resizeObserver.observe(stickyStack);
-syncPadding();
+function updateArchiveRange() {
+  const start = new Date(archiveWeekEnd.getTime() - 6 * DAY_MS);
+  archiveRange.textContent = new Intl.DateTimeFormat(uiLocale, { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' })
+    .formatRange(start, archiveWeekEnd);
+  archiveNextBtn.disabled = archiveWeekEnd.getTime() + DAY_MS > Date.now();
+}
 
-/* ===== Editor mode ===== */
+/* Shared loader for the paginated archive and search views.
+   Category filtering happens in the query because only one page is held client-side.
+   Appending resolves to the articles that got a card, or null like fetchMoreNews(). */
+async function fetchResults(endpoint, params, append) {
+  const request = append ? feedRequest : ++feedRequest;
+  refreshBtn.classList.add('spinning');
+  hideOfflineBanner();
+  errorState.style.display = 'none';
+  emptyState.style.display = 'none';
+  loadMoreBtn.disabled = true;
+  updateSubtitle();
 
-function updateEditorCounts() {
-  const p = curationData.pinned.length;
-  const h = curationData.hidden.length;
-  editorCounts.textContent =
-    `${p} pinned · ${h} hidden`;
-}
+  const page = append ? resultsPage + 1 : 1;
+  params.set('region', activeRegion);
+  params.set('language', activeLanguage);
+  if (activeTopic) params.set('topic', activeTopic);
+  params.set('page', page);
+  if (activeFilter !== 'All') params.set('category', activeFilter);
 
-async function fetchCuration() {
   try {
-    const res = await fetch('/api/curation');
-    if (res.ok) {
-      curationData = await res.json();
-      updateEditorCounts();
+    const res  = await fetch(`${endpoint}?${params}`);
+    const data = await res.json();
+
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    if (request !== feedRequest) return null;
+
+    resultsPage  = page;
+    resultsTotal = data.total;
+    if (append) return appendCards(data.articles);
+    allArticles  = data.articles;
+    renderFeed();
+  } catch (err) {
+    if (request !== feedRequest) return null;
+    if (append) {
+      showToast(`Error: ${err.message}`);
+    } else {
+      feed.innerHTML = '';
+      loadMore.style.display = 'none';
+      /* Archive and search aren't cached offline */
+      if (err instanceof TypeError) {
+        showOfflineBanner(null);
+      } else {
+        errorState.style.display = 'flex';
+        errorMsg.textContent = err.message || t('error.offline');
+      }
     }
-  } catch { /* non-fatal */ }
+    return null;
+  } finally {
+    refreshBtn.classList.remove('spinning');
+    loadMoreBtn.disabled = false;
+  }
 }
 
-function enterEditorMode() {
-  isEditorMode = true;
-  editorBanner.style.display = '';
-  fetchCuration();
-  renderFeed(); // re-render cards with editor toolbars
-  showToast('Editor mode active · Ctrl+Shift+E to exit');
+function fetchArchive(append = false) {
+  updateArchiveRange();
+  return fetchResults('/api/archive', new URLSearchParams({
+    from: isoDay(new Date(archiveWeekEnd.getTime() - 6 * DAY_MS)),
+    to: isoDay(archiveWeekEnd),
+  }), append);
 }
 
-function exitEditorMode() {
-  isEditorMode = false;
-  editorBanner.style.display = 'none';
-  renderFeed(); // re-render cards without editor toolbars
+function fetchSearch(append = false) {
+  return fetchResults('/api/search', new URLSearchParams({ q: searchQuery }), append);
 }
 
-function toggleEditorMode() {
-  if (isEditorMode) {
-    exitEditorMode();
-    return;
-  }
-  /* If we already have a stored token, try entering directly */
-  if (editorToken) {
-    enterEditorMode();
-  } else {
-    openEditorLogin();
-  }
+function showArchiveUi(on) {
+  isArchiveMode = on;
+  document.body.classList.toggle('archive-mode', on);
+  archiveBar.style.display = on ? '' : 'none';
+  archiveBtn.classList.toggle('active', on);
 }
 
-/* ── Editor login modal ── */
-function openEditorLogin() {
-  editorLoginError.style.display = 'none';
-  editorTokenInput.value = '';
-  editorLoginOverlay.style.display = 'flex';
-  document.body.style.overflow = 'hidden';
-  setTimeout(() => editorTokenInput.focus(), 60);
+function enterArchiveMode() {
+  if (isSavedMode) showSavedUi(false);
+  if (searchQuery) setSearch('');
+  archiveWeekEnd = currentWeekEnd();
+  showArchiveUi(true);
+  syncUrl();
+  allArticles = [];
+  fetchArchive();
 }
 
-function closeEditorLogin() {
-  editorLoginOverlay.style.display = 'none';
-  document.body.style.overflow = '';
+function exitArchiveMode() {
+  showArchiveUi(false);
+  syncUrl();
+  loadMore.style.display = 'none';
+  allArticles = [];
+  fetchNews();
 }
 
-editorLoginClose.addEventListener('click', closeEditorLogin);
-editorLoginOverlay.addEventListener('click', e => { if (e.target === editorLoginOverlay) closeEditorLogin(); });
+/* The archive opens on the week ending today */
+function currentWeekEnd() {
+  const today = new Date();
+  return new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+}
 
-async function submitEditorLogin() {
-  const token = editorTokenInput.value.trim();
-  if (!token) return;
+archiveBtn.addEventListener('click', () => (isArchiveMode ? exitArchiveMode() : enterArchiveMode()));
+archiveExitBtn.addEventListener('click', exitArchiveMode);
 
-  editorLoginSubmit.disabled = true;
-  editorLoginSubmit.textContent = 'Verifying…';
-  editorLoginError.style.display = 'none';
+archivePrevBtn.addEventListener('click', () => {
+  archiveWeekEnd = new Date(archiveWeekEnd.getTime() - 7 * DAY_MS);
+  syncUrl();
+  fetchArchive();
+});
 
-  try {
-    /* Verify token using the dedicated read-only verification endpoint */
-    const res = await fetch('/api/curation/verify', {
-      headers: { 'X-Editor-Token': token },
-    });
+archiveNextBtn.addEventListener('click', () => {
+  archiveWeekEnd = new Date(archiveWeekEnd.getTime() + 7 * DAY_MS);
+  syncUrl();
+  fetchArchive();
+});
 
-    if (res.status === 401) {
-      editorLoginError.textContent = 'Incorrect token. Try again.';
-      editorLoginError.style.display = '';
-      editorTokenInput.select();
-    } else if (res.ok) {
-      editorToken = token;
-      sessionStorage.setItem('cj_editor_token', token);
-      closeEditorLogin();
-      enterEditorMode();
-    } else {
-      editorLoginError.textContent = 'Server error. Please try again.';
-      editorLoginError.style.display = '';
-    }
-  } catch {
-    editorLoginError.textContent = 'Network error. Please try again.';
-    editorLoginError.style.display = '';
-  } finally {
-    editorLoginSubmit.disabled = false;
-    editorLoginSubmit.textContent = 'Enter Editor Mode';
-  }
+loadMoreBtn.addEventListener('click', () => loadNextPage({ focus: true }));
+
+/* ===== Search ===== */
+function setSearch(q) {
+  searchQuery = q;
+  searchInput.value = q;
+  document.body.classList.toggle('search-mode', !!q);
+  searchBtn.classList.toggle('active', !!q);
+  if (q) searchBar.style.display = '';
 }
 
-editorLoginSubmit.addEventListener('click', submitEditorLogin);
-editorTokenInput.addEventListener('keydown', e => { if (e.key === 'Enter') submitEditorLogin(); });
+function openSearchBar() {
+  searchBar.style.display = '';
+  searchInput.focus();
+}
 
-/* ── Editor banner controls ── */
-editorExitBtn.addEventListener('click', () => {
-  exitEditorMode();
-  showToast('Exited editor mode');
+function clearSearch() {
+  setSearch('');
+  searchBar.style.display = 'none';
+  syncUrl();
+  allArticles = [];
+  fetchNews();
+}
+
+searchForm.addEventListener('submit', e => {
+  e.preventDefault();
+  const q = searchInput.value.trim();
+  if (!q) { clearSearch(); return; }
+  if (q === searchQuery) return;
+  if (isArchiveMode) showArchiveUi(false);
+  if (isSavedMode) showSavedUi(false);
+  setSearch(q);
+  syncUrl();
+  allArticles = [];
+  fetchSearch();
 });
 
-editorManageBtn.addEventListener('click', openEditorManage);
+searchBtn.addEventListener('click', () => {
+  if (searchBar.style.display === 'none') openSearchBar();
+  else if (searchQuery) clearSearch();
+  else searchBar.style.display = 'none';
+});
 
-/* ── Editor manage modal ── */
-function openEditorManage() {
-  renderEditorManage();
-  editorManageOverlay.style.display = 'flex';
-  document.body.style.overflow = 'hidden';
+searchClearBtn.addEventListener('click', clearSearch);
+
+/* ===== Feed state in the URL ===== */
+/* Every view is a link: ?q= (search), view=archive|saved, week (the archive week's last day),
+   region, topic, lang, sort, days and category, each left out while at its default. article=
+   highlights one story, which is how share pages (/a/:id) hand readers to the feed.
+   Each change pushes a history entry so the back button steps through the reader's views. */
+let highlightId      = null; // id of the shared story to highlight
+let pendingHighlight = false; // scroll to it (or load it) after the next feed render
+
+function stateToQuery() {
+  const params = new URLSearchParams();
+  if (searchQuery) params.set('q', searchQuery);
+  else if (isArchiveMode) params.set('view', 'archive');
+  else if (isSavedMode) params.set('view', 'saved');
+  if (isArchiveMode && !searchQuery) params.set('week', isoDay(archiveWeekEnd));
+  if (activeRegion !== 'global') params.set('region', activeRegion);
+  if (activeTopic) params.set('topic', activeTopic);
+  if (activeLanguage !== 'en') params.set('lang', activeLanguage);
+  if (activeSortBy !== 'popularity') params.set('sort', activeSortBy);
+  if (activeDays !== 7) params.set('days', activeDays);
+  if (activeFilter !== 'All') params.set('category', activeFilter);
+  if (highlightId) params.set('article', highlightId);
+  return params.toString();
 }
 
-function closeEditorManage() {
-  editorManageOverlay.style.display = 'none';
+/* A new history entry is a new view, so it drops the shared story's highlight. replace only
+   corrects the current entry (e.g. a link's region that no longer exists). */
+function syncUrl({ replace = false } = {}) {
+  if (!replace) {
+    highlightId = null;
+    pendingHighlight = false;
+  }
+  const query = stateToQuery();
+  const url = `${location.pathname}${query ? `?${query}` : ''}`;
+  if (url === `${location.pathname}${location.search}`) return;
+  if (replace) history.replaceState(null, '', url);
+  else history.pushState(null, '', url);
+}
+
+/* Read the state back from the URL on load and on back/forward. Unknown values fall back to
+   the defaults. On load a missing lang keeps the reader's stored feed language; custom regions
+   and watchlists are checked by loadTopics() once they have loaded. */
+function applyUrlState(initial = false) {
+  const params = new URLSearchParams(location.search);
+  const known = (buttons, key, value) => [...buttons].some(b => b.dataset[key] === value);
+
+  const category = params.get('category');
+  activeFilter = category && (initial || customTopics.categories.includes(category)) ? category : 'All';
+  const sort = params.get('sort');
+  activeSortBy = known(sortBtns, 'sort', sort) ? sort : 'popularity';
+  const days = params.get('days');
+  activeDays = known(rangeBtns, 'days', days) ? Number(days) : 7;
+  const region = params.get('region') || 'global';
+  activeRegion = initial || regionGroup.querySelector(`[data-region="${CSS.escape(region)}"]`) ? region : 'global';
+  const topic = params.get('topic');
+  activeTopic = topic && (initial || customTopics.watchlists.some(w => w.key === topic)) ? topic : null;
+  const lang = params.get('lang');
+  if (LANGUAGE_LABELS[lang]) activeLanguage = lang;
+  else if (!initial) activeLanguage = 'en';
+
+  highlightId = params.get('article');
+  pendingHighlight = !!highlightId;
+
+  const q = params.get('q')?.trim() || '';
+  const view = q ? 'search' : params.get('view');
+  showSavedUi(view === 'saved');
+  showArchiveUi(view === 'archive');
+  if (view === 'archive') {
+    const week = /^\d{4}-\d{2}-\d{2}$/.test(params.get('week')) ? new Date(`${params.get('week')}T00:00:00Z`) : null;
+    archiveWeekEnd = week && !isNaN(week) && week <= currentWeekEnd() ? week : currentWeekEnd();
+  }
+  setSearch(q);
+  if (!q) searchBar.style.display = 'none';
+  loadMore.style.display = 'none';
+
+  setActiveFilterChip();
+  sortBtns.forEach(b => b.classList.toggle('active', b.dataset.sort === activeSortBy));
+  rangeBtns.forEach(b => b.classList.toggle('active', Number(b.dataset.days) === activeDays));
+  regionGroup.querySelectorAll('[data-region]').forEach(b => b.classList.toggle('active', b.dataset.region === activeRegion));
+  topicGroup.querySelectorAll('[data-topic]').forEach(b => b.classList.toggle('active', b.dataset.topic === activeTopic));
+  setActiveLanguageBtn();
+}
+
+window.addEventListener('popstate', () => {
+  applyUrlState();
+  if (isSavedMode) updateAccountUi();
+  allArticles = [];
+  fetchNews();
+});
+
+/* Scroll to the shared story once the feed has rendered. A story that isn't loaded (further down,
+   older, or from another region or language) is loaded on its own and shown first. */
+async function showHighlight() {
+  if (!pendingHighlight) return;
+  pendingHighlight = false;
+  const id = highlightId;
+  if (!allArticles.some(a => a.id === id)) {
+    try {
+      const res = await fetch(`/api/articles/${encodeURIComponent(id)}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const { article } = await res.json();
+      if (id !== highlightId) return; // the reader moved on meanwhile
+      allArticles = [article, ...allArticles];
+      renderFeed();
+    } catch {
+      showToast(t('toast.storyUnavailable'));
+      return;
+    }
+  }
+  feed.querySelector(`.card[data-id="${CSS.escape(id)}"]`)?.scrollIntoView({ block: 'center' });
+}
+
+/* ===== Saved articles ===== */
+const SAVED_FIELDS = ['id', 'url', 'title', 'source', 'author', 'description', 'image', 'publishedAt', 'readTime', 'category', 'language'];
+
+function persistSaved() {
+  localStorage.setItem('cj_saved', JSON.stringify([...savedArticles.values()]));
+}
+
+/* Save or unsave locally, then on the reader's account when signed in.
+   A failed sync undoes the local change so this device never drifts from the account. */
+async function setSaved(article, saved) {
+  const previous = savedArticles;
+  if (saved) {
+    const snapshot = Object.fromEntries(SAVED_FIELDS.map(key => [key, article[key] ?? null]));
+    snapshot.savedAt = new Date().toISOString();
+    savedArticles = new Map([[article.id, snapshot], ...savedArticles]);
+  } else {
+    savedArticles = new Map(savedArticles);
+    savedArticles.delete(article.id);
+  }
+  persistSaved();
+  if (!readerToken) return;
+
+  try {
+    if (saved) await readerRequest('POST', '/api/bookmarks', { articles: [savedArticles.get(article.id)] });
+    else await readerRequest('DELETE', `/api/bookmarks/${encodeURIComponent(article.id)}`);
+  } catch (err) {
+    if (err.status === 401) return; // signed out: the change stands on this device
+    if (!saved && err.status === 404) return; // already gone from the account
+    savedArticles = previous;
+    persistSaved();
+    throw err;
+  }
+}
+
+/* Signed in: the account's list replaces this device's. On sign-in (merge) this device's
+   list is uploaded first, so nothing saved before signing in is lost. */
+async function syncSaved(merge = false) {
+  if (!readerToken || !navigator.onLine) return;
+  try {
+    const local = [...savedArticles.values()];
+    const data = merge && local.length
+      ? await readerRequest('POST', '/api/bookmarks', { articles: local })
+      : await readerRequest('GET', '/api/bookmarks');
+    savedArticles = new Map(data.bookmarks.map(a => [a.id, a]));
+    persistSaved();
+    if (isSavedMode) renderSaved();
+    else if (allArticles.length) renderFeed();
+  } catch (err) {
+    if (err.status !== 401) showToast(t('toast.syncFailed'));
+  }
+}
+
+function renderSaved() {
+  allArticles = [...savedArticles.values()];
+  updateSubtitle();
+  renderFeed();
+}
+
+function showSavedUi(on) {
+  isSavedMode = on;
+  document.body.classList.toggle('saved-mode', on);
+  savedBar.style.display = on ? '' : 'none';
+  savedBtn.classList.toggle('active', on);
+  if (!on) savedEmpty.style.display = 'none';
+}
+
+function enterSavedMode() {
+  if (isArchiveMode) showArchiveUi(false);
+  if (searchQuery) {
+    setSearch('');
+    searchBar.style.display = 'none';
+  }
+  showSavedUi(true);
+  syncUrl();
+  loadMore.style.display = 'none';
+  updateAccountUi();
+  fetchNews();
+}
+
+function exitSavedMode() {
+  showSavedUi(false);
+  syncUrl();
+  allArticles = [];
+  fetchNews();
+}
+
+savedBtn.addEventListener('click', () => (isSavedMode ? exitSavedMode() : enterSavedMode()));
+savedExitBtn.addEventListener('click', exitSavedMode);
+
+/* ── Reader account ── */
+async function readerRequest(method, path, body) {
+  const res = await fetch(path, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-Reader-Token': readerToken },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await res.json().catch(() => ({}));
+  if (res.status === 401) {
+    /* Session expired or the account was deleted — carry on with the list on this device */
+    clearReaderSession();
+    showToast(t('toast.signedOut'));
+  }
+  if (!res.ok) throw Object.assign(new Error(data.error || `HTTP ${res.status}`), { status: res.status });
+  return data;
+}
+
+function clearReaderSession() {
+  readerToken = '';
+  readerEmail = '';
+  localStorage.removeItem('cj_reader_token');
+  localStorage.removeItem('cj_reader_email');
+  updateAccountUi();
+}
+
+function updateAccountUi() {
+  savedSync.textContent = readerEmail ? t('saved.syncedAs', { email: readerEmail }) : t('saved.localOnly');
+  accountBtn.textContent = t(readerEmail ? 'account.signOut' : 'account.syncPrompt');
+}
+
+function openAccount() {
+  accountError.style.display = 'none';
+  accountForm.reset();
+  accountOverlay.style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+  setTimeout(() => accountEmail.focus(), 60);
+}
+
+function closeAccount() {
+  accountOverlay.style.display = 'none';
+  document.body.style.overflow = '';
+}
+
+const ACCOUNT_ERRORS = { 400: 'account.invalid', 401: 'account.incorrect', 409: 'account.exists', 429: 'account.tooMany' };
+
+async function submitAccount(register) {
+  const email = accountEmail.value.trim();
+  const password = accountPassword.value;
+  if (!email || !password) {
+    accountError.textContent = t('account.missing');
+    accountError.style.display = '';
+    return;
+  }
+
+  accountError.style.display = 'none';
+  accountForm.querySelectorAll('button').forEach(btn => { btn.disabled = true; });
+  try {
+    const res = await fetch(register ? '/api/readers' : '/api/readers/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password }),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      accountError.textContent = t(ACCOUNT_ERRORS[res.status] || 'account.failed');
+      accountError.style.display = '';
+      return;
+    }
+    readerToken = data.token;
+    readerEmail = data.reader.email;
+    localStorage.setItem('cj_reader_token', readerToken);
+    localStorage.setItem('cj_reader_email', readerEmail);
+    updateAccountUi();
+    closeAccount();
+    showToast(t('toast.signedIn'));
+    syncSaved(true);
+  } catch {
+    accountError.textContent = t('account.failed');
+    accountError.style.display = '';
+  } finally {
+    accountForm.querySelectorAll('button').forEach(btn => { btn.disabled = false; });
+  }
+}
+
+accountBtn.addEventListener('click', () => {
+  if (!readerToken) { openAccount(); return; }
+  /* End the session server-side too; saved articles stay on this device */
+  fetch('/api/readers/logout', { method: 'POST', headers: { 'X-Reader-Token': readerToken } }).catch(() => {});
+  clearReaderSession();
+  showToast(t('toast.signedOut'));
+});
+
+accountForm.addEventListener('submit', e => {
+  e.preventDefault();
+  submitAccount(false);
+});
+accountRegisterBtn.addEventListener('click', () => submitAccount(true));
+accountClose.addEventListener('click', closeAccount);
+accountOverlay.addEventListener('click', e => { if (e.target === accountOverlay) closeAccount(); });
+
+/* ===== Email digest ===== */
+let digestFrequency = 'daily';
+
+/* The digest covers the region and language being read when signing up */
+function openDigest() {
+  digestError.style.display = 'none';
+  digestForm.style.display = '';
+  digestDone.style.display = 'none';
+  digestScope.textContent = t('digest.scope', { feed: [regionLabelFor(activeRegion), LANGUAGE_LABELS[activeLanguage]].join(' · ') });
+  digestOverlay.style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+  setTimeout(() => digestEmail.focus(), 60);
+}
+
+function closeDigest() {
+  digestOverlay.style.display = 'none';
   document.body.style.overflow = '';
 }
 
-editorManageClose.addEventListener('click', closeEditorManage);
-editorManageOverlay.addEventListener('click', e => { if (e.target === editorManageOverlay) closeEditorManage(); });
+frequencyBtns.forEach(btn => {
+  btn.addEventListener('click', () => {
+    digestFrequency = btn.dataset.frequency;
+    frequencyBtns.forEach(b => {
+      b.classList.toggle('active', b === btn);
+      b.setAttribute('aria-checked', String(b === btn));
+    });
+  });
+});
+
+const DIGEST_ERRORS = { 400: 'digest.invalid', 429: 'digest.tooMany' };
+
+digestForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const email = digestEmail.value.trim();
+  if (!email) {
+    digestError.textContent = t('digest.invalid');
+    digestError.style.display = '';
+    return;
+  }
+
+  digestError.style.display = 'none';
+  digestSubmit.disabled = true;
+  try {
+    const res = await fetch('/api/digest/subscribe', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, frequency: digestFrequency, region: activeRegion, language: activeLanguage }),
+    });
+    if (!res.ok) {
+      digestError.textContent = t(DIGEST_ERRORS[res.status] || 'digest.failed');
+      digestError.style.display = '';
+      return;
+    }
+    digestForm.style.display = 'none';
+    digestDone.style.display = '';
+  } catch {
+    digestError.textContent = t('digest.failed');
+    digestError.style.display = '';
+  } finally {
+    digestSubmit.disabled = false;
+  }
+});
+
+digestLink.addEventListener('click', openDigest);
+digestClose.addEventListener('click', closeDigest);
+digestOverlay.addEventListener('click', e => { if (e.target === digestOverlay) closeDigest(); });
+
+/* ===== Story tips ===== */
+/* The anti-spam challenge (see /api/tips/challenge in server.js) is fetched and solved while
+   the reader fills in the form, so sending is usually instant. Challenges are single-use. */
+let tipChallenge = null; // Promise of { challenge, solution, readyAt }
+
+function leadingZeroBits(digest) {
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte) return bits + Math.clz32(byte) - 24;
+    bits += 8;
+  }
+  return bits;
+}
+
+async function solveTipChallenge() {
+  const res = await fetch('/api/tips/challenge');
+  if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status}`), { status: res.status });
+  const { challenge, bits, minSeconds } = await res.json();
+  /* A little margin, as the server counts from when it issued the challenge */
+  const readyAt = Date.now() + minSeconds * 1000 + 250;
+  const encoder = new TextEncoder();
+  for (let solution = 0; ; solution++) {
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${solution}`));
+    if (leadingZeroBits(new Uint8Array(digest)) >= bits) return { challenge, solution, readyAt };
+  }
+}
+
+function newTipChallenge() {
+  tipChallenge = solveTipChallenge();
+  tipChallenge.catch(() => {}); // reported when the form is sent
+}
+
+function openTip() {
+  tipError.style.display = 'none';
+  tipForm.style.display = '';
+  tipDone.style.display = 'none';
+  tipUrl.value = '';
+  tipNote.value = '';
+  newTipChallenge();
+  tipOverlay.style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+  setTimeout(() => tipUrl.focus(), 60);
+}
+
+function closeTip() {
+  tipOverlay.style.display = 'none';
+  document.body.style.overflow = '';
+}
+
+function showTipError(key) {
+  tipError.textContent = t(key);
+  tipError.style.display = '';
+}
+
+const TIP_ERRORS = { 400: 'tip.invalidUrl', 429: 'tip.tooMany' };
+
+tipForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const url = tipUrl.value.trim();
+  if (!url || !tipUrl.checkValidity() || !/^https?:\/\//i.test(url)) {
+    showTipError('tip.invalidUrl');
+    return;
+  }
+
+  tipError.style.display = 'none';
+  tipSubmit.disabled = true;
+  tipSubmit.textContent = t('tip.sending');
+  try {
+    const { challenge, solution, readyAt } = await tipChallenge;
+    await new Promise(resolve => setTimeout(resolve, Math.max(0, readyAt - Date.now())));
+    const res = await fetch('/api/tips', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        url, note: tipNote.value.trim(), website: tipWebsite.value, challenge, solution, locale: uiLocale,
+      }),
+    });
+    if (!res.ok) {
+      newTipChallenge();
+      showTipError(TIP_ERRORS[res.status] || 'tip.failed');
+      return;
+    }
+    tipForm.style.display = 'none';
+    tipDone.style.display = '';
+  } catch (err) {
+    newTipChallenge();
+    showTipError(TIP_ERRORS[err.status] || 'tip.failed');
+  } finally {
+    tipSubmit.disabled = false;
+    tipSubmit.textContent = t('tip.submit');
+  }
+});
+
+tipLink.addEventListener('click', openTip);
+tipClose.addEventListener('click', closeTip);
+tipOverlay.addEventListener('click', e => { if (e.target === tipOverlay) closeTip(); });
+
+/* ===== Push alerts ===== */
+/* The server keeps the subscription; the choices are also kept here to fill in the form:
+   { regions, categories, quietHours: { start, end } | null, language } */
+let alertPrefs = JSON.parse(localStorage.getItem('cj_alerts') || 'null');
+let pushPublicKey = null;
+
+const pushSupported = () => 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+async function currentPushSubscription() {
+  const registration = await navigator.serviceWorker.ready;
+  return registration.pushManager.getSubscription();
+}
+
+/* VAPID keys are base64url text; pushManager.subscribe() wants the raw bytes */
+function base64UrlBytes(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
+}
+
+/* Alerts are only offered when the server has push set up */
+async function initAlerts() {
+  if (!pushSupported()) return;
+  try {
+    const config = await (await fetch('/api/push/config')).json();
+    if (!config.enabled) return;
+    pushPublicKey = config.publicKey;
+    alertsFooter.forEach(el => { el.style.display = ''; });
+  } catch { /* offline: offered again on the next visit */ }
+}
+
+function alertOptionsHtml(options, selected) {
+  return options.map(([value, label]) => {
+    const on = selected.includes(value);
+    return `<button type="button" class="ctrl-btn${on ? ' active' : ''}" data-value="${escHtml(value)}" aria-pressed="${on}">${escHtml(label)}</button>`;
+  }).join('');
+}
+
+const selectedOptions = container => [...container.querySelectorAll('[aria-pressed="true"]')].map(b => b.dataset.value);
+
+function updateQuietTimes() {
+  alertsQuietTimes.style.display = alertsQuiet.checked ? '' : 'none';
+}
+
+async function openAlerts() {
+  const subscribed = Boolean(alertPrefs && await currentPushSubscription().catch(() => null));
+  const prefs = subscribed ? alertPrefs : { regions: [], categories: [], quietHours: null };
+  const categories = customTopics.categories;
+  alertsRegions.innerHTML = alertOptionsHtml(selectableRegions().map(r => [r, regionLabelFor(r)]), prefs.regions);
+  alertsCategories.innerHTML = alertOptionsHtml(categories.map(c => [c, categoryLabel(c)]), prefs.categories);
+  alertsQuiet.checked = Boolean(prefs.quietHours);
+  if (prefs.quietHours) {
+    alertsQuietStart.value = prefs.quietHours.start;
+    alertsQuietEnd.value = prefs.quietHours.end;
+  }
+  updateQuietTimes();
+  alertsScope.textContent = t('alerts.scope', { language: LANGUAGE_LABELS[activeLanguage] });
+  alertsSubmit.textContent = t(subscribed ? 'alerts.save' : 'alerts.turnOn');
+  alertsOff.style.display = subscribed ? '' : 'none';
+  alertsError.style.display = 'none';
+  alertsOverlay.style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+}
+
+function closeAlerts() {
+  alertsOverlay.style.display = 'none';
+  document.body.style.overflow = '';
+}
+
+function showAlertsError(key) {
+  alertsError.textContent = t(key);
+  alertsError.style.display = '';
+}
+
+/* Option buttons toggle on click (also used by the editor's add-article form) */
+function toggleOption(e) {
+  const option = e.target.closest('.alerts-options [data-value]');
+  if (!option) return;
+  const on = option.getAttribute('aria-pressed') !== 'true';
+  option.classList.toggle('active', on);
+  option.setAttribute('aria-pressed', String(on));
+}
+
+alertsForm.addEventListener('click', toggleOption);
+
+alertsQuiet.addEventListener('change', updateQuietTimes);
+
+/* Breaking alerts follow the feed language being read when the settings are saved */
+alertsForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const prefs = {
+    regions: selectedOptions(alertsRegions),
+    categories: selectedOptions(alertsCategories),
+    quietHours: alertsQuiet.checked && alertsQuietStart.value && alertsQuietEnd.value && alertsQuietStart.value !== alertsQuietEnd.value
+      ? { start: alertsQuietStart.value, end: alertsQuietEnd.value }
+      : null,
+    language: activeLanguage,
+  };
+
+  alertsError.style.display = 'none';
+  alertsSubmit.disabled = true;
+  try {
+    if (await Notification.requestPermission() !== 'granted') {
+      showAlertsError('alerts.blocked');
+      return;
+    }
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription() ||
+      await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: base64UrlBytes(pushPublicKey) });
+    const res = await fetch('/api/push/subscription', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        subscription, ...prefs, locale: uiLocale, timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      }),
+    });
+    if (!res.ok) {
+      showAlertsError('alerts.failed');
+      return;
+    }
+    alertPrefs = prefs;
+    localStorage.setItem('cj_alerts', JSON.stringify(prefs));
+    closeAlerts();
+    showToast(t('alerts.saved'));
+  } catch {
+    showAlertsError('alerts.failed');
+  } finally {
+    alertsSubmit.disabled = false;
+  }
+});
+
+alertsOff.addEventListener('click', async () => {
+  alertsOff.disabled = true;
+  try {
+    const subscription = await currentPushSubscription();
+    if (subscription) {
+      await fetch('/api/push/subscription', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ endpoint: subscription.endpoint }),
+      });
+      await subscription.unsubscribe();
+    }
+    alertPrefs = null;
+    localStorage.removeItem('cj_alerts');
+    closeAlerts();
+    showToast(t('alerts.off'));
+  } catch {
+    showAlertsError('alerts.failed');
+  } finally {
+    alertsOff.disabled = false;
+  }
+});
+
+alertsLink.addEventListener('click', openAlerts);
+alertsClose.addEventListener('click', closeAlerts);
+alertsOverlay.addEventListener('click', e => { if (e.target === alertsOverlay) closeAlerts(); });
+
+/* ===== Filter chips ===== */
+/* The categories come from the server's config with the regions and watchlists (see loadTopics) */
+function renderFilterChips() {
+  filterBar.querySelectorAll('[data-filter]:not([data-filter="All"])').forEach(c => c.remove());
+  filterBar.insertAdjacentHTML('beforeend', customTopics.categories.map(c => `
+    <button class="filter-chip" data-filter="${escHtml(c)}">${escHtml(categoryLabel(c))}</button>`).join(''));
+  setActiveFilterChip();
+}
+
+function setActiveFilterChip() {
+  filterBar.querySelectorAll('.filter-chip').forEach(c => c.classList.toggle('active', c.dataset.filter === activeFilter));
+}
+
+/* The feeds are filtered on the server, so each page is full; saved articles are all at hand */
+filterBar.addEventListener('click', e => {
+  const chip = e.target.closest('.filter-chip');
+  if (!chip || chip.dataset.filter === activeFilter) return;
+  activeFilter = chip.dataset.filter;
+  setActiveFilterChip();
+  syncUrl();
+  if (isSavedMode) renderFeed();
+  else fetchNews();
+});
+
+clearFilter.addEventListener('click', () => {
+  activeFilter = 'All';
+  setActiveFilterChip();
+  syncUrl();
+  if (isSavedMode) renderFeed();
+  else fetchNews();
+});
+
+/* ===== Sort buttons ===== */
+sortBtns.forEach(btn => {
+  btn.addEventListener('click', () => {
+    if (btn.dataset.sort === activeSortBy) return;
+    sortBtns.forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    activeSortBy = btn.dataset.sort;
+    syncUrl();
+    allArticles = [];
+    fetchNews();
+  });
+});
+
+/* ===== Range buttons ===== */
+rangeBtns.forEach(btn => {
+  btn.addEventListener('click', () => {
+    const d = Number(btn.dataset.days);
+    if (d === activeDays) return;
+    rangeBtns.forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    activeDays = d;
+    syncUrl();
+    allArticles = [];
+    fetchNews();
+  });
+});
+
+/* ===== Region buttons ===== */
+/* Delegated, since custom region buttons are added after load */
+regionGroup.addEventListener('click', e => {
+  const btn = e.target.closest('[data-region]');
+  if (!btn || btn.dataset.region === activeRegion) return;
+  regionGroup.querySelectorAll('[data-region]').forEach(b => b.classList.toggle('active', b === btn));
+  activeRegion = btn.dataset.region;
+  syncUrl();
+  allArticles = [];
+  fetchNews();
+});
+
+/* ===== Watchlist buttons ===== */
+/* Clicking the active watchlist turns it off again */
+topicGroup.addEventListener('click', e => {
+  const btn = e.target.closest('[data-topic]');
+  if (!btn) return;
+  activeTopic = btn.dataset.topic === activeTopic ? null : btn.dataset.topic;
+  topicGroup.querySelectorAll('[data-topic]').forEach(b => b.classList.toggle('active', b.dataset.topic === activeTopic));
+  syncUrl();
+  allArticles = [];
+  fetchNews();
+});
+
+/* ===== Custom regions + watchlists ===== */
+/* Editors define these server-side; render them after the built-in region buttons */
+async function loadTopics() {
+  try {
+    const res = await fetch('/api/topics');
+    if (!res.ok) return;
+    customTopics = await res.json();
+  } catch {
+    return; // the built-in regions still work
+  }
+  regionGroup.querySelectorAll('[data-custom]').forEach(b => b.remove());
+  regionGroup.insertAdjacentHTML('beforeend', customTopics.regions.map(r => `
+    <button class="ctrl-btn focus-btn" data-region="${escHtml(r.key)}" data-custom>📍 ${escHtml(r.label)}</button>`).join(''));
+  topicGroup.querySelectorAll('[data-topic]').forEach(b => b.remove());
+  topicGroup.insertAdjacentHTML('beforeend', customTopics.watchlists.map(w => `
+    <button class="ctrl-btn topic-btn" data-topic="${escHtml(w.key)}">${escHtml(w.label)}</button>`).join(''));
+  const hasWatchlists = customTopics.watchlists.length > 0;
+  topicGroup.style.display = hasWatchlists ? '' : 'none';
+  topicSep.style.display   = hasWatchlists ? '' : 'none';
+
+  /* A region or watchlist that was just deleted (or a link's unknown one) falls back to the default
+     feed; an unknown category to All, which is what the server sent for it */
+  const regionGone = !regionGroup.querySelector(`[data-region="${CSS.escape(activeRegion)}"]`);
+  const topicGone  = activeTopic && !customTopics.watchlists.some(w => w.key === activeTopic);
+  const categoryGone = activeFilter !== 'All' && !customTopics.categories.includes(activeFilter);
+  if (regionGone) activeRegion = 'global';
+  if (topicGone) activeTopic = null;
+  if (categoryGone) activeFilter = 'All';
+  if (regionGone || topicGone || categoryGone) syncUrl({ replace: true });
+  renderFilterChips();
+  regionGroup.querySelectorAll('[data-region]').forEach(b => b.classList.toggle('active', b.dataset.region === activeRegion));
+  topicGroup.querySelectorAll('[data-topic]').forEach(b => b.classList.toggle('active', b.dataset.topic === activeTopic));
+  syncPadding();
+  updateSubtitle();
+}
+
+/* ===== Language buttons ===== */
+function setActiveLanguageBtn() {
+  languageBtns.forEach(b => b.classList.toggle('active', b.dataset.language === activeLanguage));
+}
+
+languageBtns.forEach(btn => {
+  btn.addEventListener('click', () => {
+    if (btn.dataset.language === activeLanguage) return;
+    activeLanguage = btn.dataset.language;
+    localStorage.setItem('cj_language', activeLanguage);
+    setActiveLanguageBtn();
+    syncUrl();
+    allArticles = [];
+    fetchNews();
+  });
+});
+
+if (!LANGUAGE_LABELS[activeLanguage]) activeLanguage = 'en'; // ignore a stale stored value
+setActiveLanguageBtn(); // sync button state on load
+
+/* ===== Refresh button ===== */
+refreshBtn.addEventListener('click', () => fetchNews(true));
+retryBtn.addEventListener('click', () => fetchNews());
+
+/* ===== Info modal ===== */
+function openModal() {
+  modalOverlay.style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+  modalClose.focus();
+}
+
+function closeModal() {
+  modalOverlay.style.display = 'none';
+  document.body.style.overflow = '';
+}
+
+infoBtn.addEventListener('click', openModal);
+modalClose.addEventListener('click', closeModal);
+modalOverlay.addEventListener('click', e => { if (e.target === modalOverlay) closeModal(); });
+
+/* ===== Keyboard shortcuts ===== */
+document.addEventListener('keydown', e => {
+  if (e.key === 'Escape') {
+    if (modalOverlay.style.display !== 'none') { closeModal(); return; }
+    if (accountOverlay.style.display !== 'none') { closeAccount(); return; }
+    if (digestOverlay.style.display !== 'none') { closeDigest(); return; }
+    if (tipOverlay.style.display !== 'none') { closeTip(); return; }
+    if (alertsOverlay.style.display !== 'none') { closeAlerts(); return; }
+    if (editorPinOverlay.style.display !== 'none') { closePinDialog(); return; }
+    if (editorAddOverlay.style.display !== 'none') { closeAddArticle(); return; }
+    if (editorLoginOverlay.style.display !== 'none') { closeEditorLogin(); return; }
+    if (editorManageOverlay.style.display !== 'none') { closeEditorManage(); return; }
+  }
+  /* "/" → jump to search */
+  if (e.key === '/' && document.activeElement.tagName !== 'INPUT' && document.activeElement.tagName !== 'TEXTAREA') {
+    e.preventDefault();
+    openSearchBar();
+    return;
+  }
+  if (e.key === 'r' || e.key === 'R') {
+    if (document.activeElement.tagName !== 'INPUT' && document.activeElement.tagName !== 'TEXTAREA') {
+      fetchNews(true);
+    }
+  }
+  /* Ctrl+Shift+E → toggle editor mode */
+  if ((e.key === 'E' || e.key === 'e') && e.ctrlKey && e.shiftKey) {
+    e.preventDefault();
+    toggleEditorMode();
+  }
+});
+
+/* ===== Sync main padding-top to sticky stack height ===== */
+const stickyStack = document.getElementById('sticky-stack');
+const mainEl = document.querySelector('.main');
+
+function syncPadding() {
+  mainEl.style.paddingTop = (stickyStack.offsetHeight + 20) + 'px';
+}
+
+const resizeObserver = new ResizeObserver(syncPadding);
+resizeObserver.observe(stickyStack);
+syncPadding();
+
+/* ===== Editor mode ===== */
+
+/* Viewers can see editor mode but not change curation */
+function canCurate() {
+  return editorProfile?.role === 'admin' || editorProfile?.role === 'editor';
+}
+
+function clearEditorSession() {
+  editorToken = '';
+  editorProfile = null;
+  sessionStorage.removeItem('cj_editor_token');
+  sessionStorage.removeItem('cj_editor');
+}
+
+/* Where a pin stands relative to its optional startAt/expiresAt window */
+function pinStatus(pin, now = Date.now()) {
+  if (pin.startAt && Date.parse(pin.startAt) > now) return 'scheduled';
+  if (pin.expiresAt && Date.parse(pin.expiresAt) <= now) return 'expired';
+  return 'live';
+}
+
+function updateEditorCounts() {
+  const p = curationData.pinned.filter(pin => pinStatus(pin) === 'live').length;
+  const s = curationData.pinned.filter(pin => pinStatus(pin) === 'scheduled').length;
+  const h = curationData.hidden.length;
+  const a = curationData.added?.length;
+  const tips = curationData.pendingTips;
+  editorCounts.textContent =
+    `${p} pinned${s ? ` · ${s} scheduled` : ''} · ${h} hidden${a ? ` · ${a} added` : ''}${tips ? ` · ${tips} tip${tips !== 1 ? 's' : ''}` : ''}`;
+}
+
+async function fetchCuration() {
+  try {
+    /* Signed-in editors also get scheduled and expired pins */
+    const res = await fetch('/api/curation', {
+      headers: editorToken ? { 'X-Editor-Token': editorToken } : {},
+    });
+    if (res.ok) {
+      curationData = await res.json();
+      updateEditorCounts();
+    }
+  } catch { /* non-fatal */ }
+}
+
+function enterEditorMode() {
+  isEditorMode = true;
+  editorBanner.style.display = '';
+  editorWho.textContent = editorProfile ? `${editorProfile.username} · ${editorProfile.role}` : '';
+  editorAddBtn.style.display = canCurate() ? '' : 'none';
+  fetchCuration();
+  renderFeed(); // re-render cards with editor toolbars
+  showToast('Editor mode active · Ctrl+Shift+E to exit');
+}
+
+function exitEditorMode() {
+  isEditorMode = false;
+  editorBanner.style.display = 'none';
+  renderFeed(); // re-render cards without editor toolbars
+}
+
+function toggleEditorMode() {
+  if (isEditorMode) {
+    exitEditorMode();
+    return;
+  }
+  /* If we already have a stored session, try entering directly */
+  if (editorToken && editorProfile) {
+    enterEditorMode();
+  } else {
+    openEditorLogin();
+  }
+}
+
+/* ── Editor login modal ── */
+function openEditorLogin() {
+  editorLoginError.style.display = 'none';
+  editorUserInput.value = '';
+  editorPassInput.value = '';
+  editorLoginOverlay.style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+  setTimeout(() => editorUserInput.focus(), 60);
+}
+
+function closeEditorLogin() {
+  editorLoginOverlay.style.display = 'none';
+  document.body.style.overflow = '';
+}
+
+editorLoginClose.addEventListener('click', closeEditorLogin);
+editorLoginOverlay.addEventListener('click', e => { if (e.target === editorLoginOverlay) closeEditorLogin(); });
+
+async function submitEditorLogin() {
+  const username = editorUserInput.value.trim();
+  const password = editorPassInput.value;
+  if (!username || !password) return;
+
+  editorLoginSubmit.disabled = true;
+  editorLoginSubmit.textContent = 'Signing in…';
+  editorLoginError.style.display = 'none';
+
+  try {
+    const res = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+    });
+
+    if (res.status === 401 || res.status === 429) {
+      const data = await res.json().catch(() => ({}));
+      editorLoginError.textContent = res.status === 401
+        ? 'Incorrect username or password. Try again.'
+        : data.error || 'Too many attempts. Please wait and try again.';
+      editorLoginError.style.display = '';
+      editorPassInput.select();
+    } else if (res.ok) {
+      const data = await res.json();
+      editorToken = data.token;
+      editorProfile = data.editor;
+      sessionStorage.setItem('cj_editor_token', editorToken);
+      sessionStorage.setItem('cj_editor', JSON.stringify(editorProfile));
+      closeEditorLogin();
+      enterEditorMode();
+    } else {
+      editorLoginError.textContent = 'Server error. Please try again.';
+      editorLoginError.style.display = '';
+    }
+  } catch {
+    editorLoginError.textContent = 'Network error. Please try again.';
+    editorLoginError.style.display = '';
+  } finally {
+    editorLoginSubmit.disabled = false;
+    editorLoginSubmit.textContent = 'Enter Editor Mode';
+  }
+}
+
+editorLoginSubmit.addEventListener('click', submitEditorLogin);
+[editorUserInput, editorPassInput].forEach(input => {
+  input.addEventListener('keydown', e => { if (e.key === 'Enter') submitEditorLogin(); });
+});
+
+/* ── Editor banner controls ── */
+editorExitBtn.addEventListener('click', () => {
+  exitEditorMode();
+  showToast('Exited editor mode');
+});
+
+editorLogoutBtn.addEventListener('click', async () => {
+  /* End the session server-side too, so the token can't be reused */
+  fetch('/api/auth/logout', { method: 'POST', headers: { 'X-Editor-Token': editorToken } }).catch(() => {});
+  clearEditorSession();
+  exitEditorMode();
+  showToast('Logged out');
+});
+
+editorManageBtn.addEventListener('click', openEditorManage);
+editorAddBtn.addEventListener('click', () => openAddArticle());
+
+/* ── Editor manage modal ── */
+function openEditorManage() {
+  renderEditorManage();
+  editorManageOverlay.style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+}
+
+function closeEditorManage() {
+  editorManageOverlay.style.display = 'none';
+  document.body.style.overflow = '';
+}
+
+editorManageClose.addEventListener('click', closeEditorManage);
+editorManageOverlay.addEventListener('click', e => { if (e.target === editorManageOverlay) closeEditorManage(); });
+
+function renderEditorManage() {
+  const tips = curationData.pendingTips;
+  const tabs = [['curation', 'Pinned & hidden'], ['tips', tips ? `Tips (${tips})` : 'Tips'], ['rules', 'Rules'], ['topics', 'Regions & watchlists'], ['history', 'History']];
+  if (editorProfile?.role === 'admin') tabs.push(['editors', 'Editors'], ['webhooks', 'Webhooks']);
+  if (!tabs.some(([id]) => id === manageTab)) manageTab = 'curation';
+
+  editorManageBody.innerHTML = `
+    <div class="manage-tabs" role="tablist">
+      ${tabs.map(([id, label]) => `
+        <button class="manage-tab${id === manageTab ? ' active' : ''}" role="tab" aria-selected="${id === manageTab}" data-tab="${id}">${label}</button>`).join('')}
+    </div>
+    <div id="manage-panel" class="manage-panel"></div>`;
+
+  editorManageBody.querySelectorAll('.manage-tab').forEach(btn => {
+    btn.addEventListener('click', () => {
+      manageTab = btn.dataset.tab;
+      renderEditorManage();
+    });
+  });
+
+  const panel = document.getElementById('manage-panel');
+  if (manageTab === 'history') renderHistory(panel);
+  else if (manageTab === 'tips') renderTips(panel);
+  else if (manageTab === 'rules') renderRules(panel);
+  else if (manageTab === 'topics') renderTopics(panel);
+  else if (manageTab === 'editors') renderEditorAccounts(panel);
+  else if (manageTab === 'webhooks') renderWebhooks(panel);
+  else renderCurationPanel(panel);
+}
+
+function renderCurationPanel(panel) {
+  const pinned = curationData.pinned || [];
+  const hidden = curationData.hidden || [];
+  const added = curationData.added || [];
+
+  panel.innerHTML = `
+    <section class="info-section">
+      <h3 class="info-heading">Pinned (${pinned.length})</h3>
+      ${pinned.length === 0
+        ? '<p style="font-size:0.875rem;color:var(--text-muted)">No pinned articles. Pin articles from the feed using editor mode.</p>'
+        : `${canCurate() && pinned.length > 1 ? '<p class="manage-hint">Drag to reorder, or focus a row and press Alt+↑/↓.</p>' : ''}
+          <div class="pin-list">${pinned.map(p => `
+          <div class="manage-row manage-row--pin pin-${pinStatus(p)}" data-url="${escHtml(p.url)}"${canCurate() ? ' draggable="true" tabindex="0"' : ''}>
+            ${canCurate() ? '<span class="drag-handle" aria-hidden="true">⠿</span>' : ''}
+            <div class="manage-row-info">
+              <div class="manage-row-title">${escHtml(p.title || p.url)}</div>
+              <div class="manage-row-meta">${pinWindowLabel(p)} · ${escHtml(p.source || '')}${p.note ? ` · <em>${escHtml(p.note)}</em>` : ''}</div>
+            </div>
+            ${canCurate() ? `
+              <button class="editor-btn manage-edit-pin-btn" data-url="${escHtml(p.url)}">Edit</button>
+              <button class="editor-btn editor-unpin-btn manage-unpin-btn" data-url="${escHtml(p.url)}">Unpin</button>` : ''}
+          </div>`).join('')}</div>`}
+    </section>
+    <section class="info-section">
+      <h3 class="info-heading">Added (${added.length})</h3>
+      ${added.length === 0
+        ? '<p style="font-size:0.875rem;color:var(--text-muted)">No added articles. Use "Add article" to include a story the news search missed.</p>'
+        : added.map(m => `
+          <div class="manage-row" data-url="${escHtml(m.url)}">
+            <div class="manage-row-info">
+              <div class="manage-row-title">${escHtml(m.title || m.url)}</div>
+              <div class="manage-row-meta">${escHtml(m.source || '')} · ${escHtml(LANGUAGE_LABELS[m.language] || m.language)} · ${m.regions.length ? m.regions.map(r => escHtml(regionLabelFor(r))).join(', ') : 'All regions'} · added by ${escHtml(m.addedBy || '?')}</div>
+            </div>
+            ${canCurate() ? `
+              <button class="editor-btn manage-edit-added-btn" data-url="${escHtml(m.url)}">Edit</button>
+              <button class="editor-btn editor-unpin-btn manage-remove-added-btn" data-url="${escHtml(m.url)}">Remove</button>` : ''}
+          </div>`).join('')}
+    </section>
+    <section class="info-section">
+      <h3 class="info-heading">Hidden (${hidden.length})</h3>
+      ${hidden.length === 0
+        ? '<p style="font-size:0.875rem;color:var(--text-muted)">No hidden articles.</p>'
+        : hidden.map(url => `
+          <div class="manage-row" data-url="${escHtml(url)}">
+            <div class="manage-row-info">
+              <div class="manage-row-title manage-row-url">${escHtml(url)}</div>
+            </div>
+            ${canCurate() ? `<button class="editor-btn editor-unhide-btn manage-unhide-btn" data-url="${escHtml(url)}">Unhide</button>` : ''}
+          </div>`).join('')}
+    </section>`;
+
+  panel.querySelectorAll('.manage-unpin-btn').forEach(btn => {
+    btn.addEventListener('click', () => editorUnpin(btn.dataset.url));
+  });
+  panel.querySelectorAll('.manage-edit-pin-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const pin = curationData.pinned.find(p => p.url === btn.dataset.url);
+      if (pin) openPinDialog(pin, true);
+    });
+  });
+  panel.querySelectorAll('.manage-unhide-btn').forEach(btn => {
+    btn.addEventListener('click', () => editorUnhide(btn.dataset.url));
+  });
+  panel.querySelectorAll('.manage-edit-added-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const entry = added.find(m => m.url === btn.dataset.url);
+      if (entry) openAddArticle(entry);
+    });
+  });
+  panel.querySelectorAll('.manage-remove-added-btn').forEach(btn => {
+    btn.addEventListener('click', () => editorRemoveAdded(btn.dataset.url));
+  });
+  const pinList = panel.querySelector('.pin-list');
+  if (pinList && canCurate()) enablePinReorder(pinList);
+}
+
+function pinWindowLabel(pin) {
+  const fmt = iso => new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  const status = pinStatus(pin);
+  if (status === 'scheduled') {
+    return `<strong class="pin-status">Scheduled</strong> ${fmt(pin.startAt)}${pin.expiresAt ? ` – ${fmt(pin.expiresAt)}` : ''}`;
+  }
+  if (status === 'expired') return `<strong class="pin-status">Expired</strong> ${fmt(pin.expiresAt)}`;
+  return `<strong class="pin-status">Live</strong>${pin.expiresAt ? ` until ${fmt(pin.expiresAt)}` : ''}`;
+}
+
+/* ── Reader story tips ── */
+let tipsStatus = 'pending';
+const TIP_STATUS_LABELS = { pending: 'Pending', approved: 'Approved', rejected: 'Rejected', duplicate: 'Duplicates' };
+
+function tipMeta(tip) {
+  const fmt = iso => new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  return [
+    fmt(tip.createdAt),
+    escHtml(LANGUAGE_LABELS[tip.locale] || tip.locale),
+    tip.hidden ? '<strong class="pin-status">Hidden</strong>' : tip.article ? '<strong class="pin-status">In the feed</strong>' : '',
+    tip.otherTips ? `${tip.otherTips} other tip${tip.otherTips !== 1 ? 's' : ''} for this link` : '',
+    tip.status !== 'pending' ? `${TIP_STATUS_LABELS[tip.status]} by ${escHtml(tip.reviewedBy || '?')} ${fmt(tip.reviewedAt)}` : '',
+  ].filter(Boolean).join(' · ');
+}
+
+/* Approving goes through the usual dialogs: a link already in the feed is pinned, a new one
+   is added (and optionally pinned). The tip is marked approved once that succeeds. */
+function tipActionsHtml(tip) {
+  if (tip.status !== 'pending') return `<button class="editor-btn tip-status-btn" data-status="pending">Reopen</button>`;
+  const pinned = curationData.pinned.some(p => p.url === tip.url);
+  return `
+    <button class="editor-btn editor-pin-btn tip-approve-btn">${pinned ? 'Approve' : tip.article ? 'Pin…' : 'Add…'}</button>
+    <button class="editor-btn tip-status-btn" data-status="duplicate">Duplicate</button>
+    <button class="editor-btn editor-hide-btn tip-status-btn" data-status="rejected">Reject</button>`;
+}
+
+async function renderTips(panel) {
+  panel.innerHTML = '<p style="font-size:0.875rem;color:var(--text-muted)">Loading…</p>';
+  let data;
+  try {
+    data = await curationRequest('GET', `/api/curation/tips?status=${tipsStatus}`);
+  } catch (err) {
+    panel.innerHTML = `<p class="editor-login-error">${escHtml(err.message)}</p>`;
+    return;
+  }
+
+  panel.innerHTML = `
+    <div class="tips-filters" role="group" aria-label="Status">
+      ${Object.entries(TIP_STATUS_LABELS).map(([status, label]) => `
+        <button class="ctrl-btn${status === tipsStatus ? ' active' : ''}" data-status="${status}" aria-pressed="${status === tipsStatus}">${label} (${data.counts[status]})</button>`).join('')}
+    </div>
+    <section class="info-section">
+      ${data.tips.length === 0
+        ? `<p style="font-size:0.875rem;color:var(--text-muted)">${tipsStatus === 'pending'
+          ? 'No tips waiting. Readers send them with "Suggest a story" at the bottom of the page.'
+          : 'Nothing here yet.'}</p>`
+        : data.tips.map(tip => `
+          <div class="manage-row manage-row--tip" data-id="${tip.id}">
+            <div class="manage-row-info">
+              <a class="manage-row-title" href="${escHtml(tip.url)}" target="_blank" rel="noopener noreferrer">${escHtml(tip.article?.title || tip.url)}</a>
+              ${tip.article ? `<div class="manage-row-url">${escHtml(tip.url)}</div>` : ''}
+              ${tip.note ? `<p class="tip-note">${escHtml(tip.note)}</p>` : ''}
+              <div class="manage-row-meta">${tipMeta(tip)}</div>
+            </div>
+            ${canCurate() ? tipActionsHtml(tip) : ''}
+          </div>`).join('')}
+    </section>`;
+
+  panel.querySelectorAll('.tips-filters [data-status]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      tipsStatus = btn.dataset.status;
+      renderTips(panel);
+    });
+  });
+  panel.querySelectorAll('.manage-row--tip').forEach(row => {
+    const tip = data.tips.find(entry => entry.id === Number(row.dataset.id));
+    row.querySelectorAll('.tip-status-btn').forEach(btn => {
+      btn.addEventListener('click', () => setTipStatus(tip, btn.dataset.status));
+    });
+    row.querySelector('.tip-approve-btn')?.addEventListener('click', () => {
+      if (curationData.pinned.some(p => p.url === tip.url)) setTipStatus(tip, 'approved');
+      else if (tip.article) openPinDialog(tip.article, false, tip);
+      else openAddArticle(null, tip);
+    });
+  });
+}
+
+const TIP_STATUS_TOASTS = { pending: 'Tip reopened', approved: 'Tip approved', rejected: 'Tip rejected', duplicate: 'Tip marked as duplicate' };
+
+async function setTipStatus(tip, status, { quiet = false } = {}) {
+  try {
+    await curationRequest('PUT', `/api/curation/tips/${tip.id}`, { status });
+    await fetchCuration();
+    if (editorManageOverlay.style.display !== 'none') renderEditorManage();
+    if (!quiet) showToast(TIP_STATUS_TOASTS[status]);
+  } catch (err) {
+    showToast(`Error: ${err.message}`);
+  }
+}
+
+/* ── Pin ordering: drag and drop, or Alt+↑/↓ on a focused row ── */
+function enablePinReorder(list) {
+  let dragged = null;
 
-function renderEditorManage() {
-  const pinned = curationData.pinned || [];
-  const hidden = curationData.hidden || [];
+  list.addEventListener('dragstart', e => {
+    dragged = e.target.closest('.manage-row');
+    if (!dragged) return;
+    dragged.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', dragged.dataset.url);
+  });
 
-  editorManageBody.innerHTML = `
+  list.addEventListener('dragover', e => {
+    if (!dragged) return;
+    e.preventDefault();
+    const over = e.target.closest('.manage-row');
+    if (!over || over === dragged) return;
+    const { top, height } = over.getBoundingClientRect();
+    list.insertBefore(dragged, e.clientY < top + height / 2 ? over : over.nextSibling);
+  });
+
+  list.addEventListener('dragend', () => {
+    if (!dragged) return;
+    dragged.classList.remove('dragging');
+    dragged = null;
+    savePinOrder(list);
+  });
+
+  list.addEventListener('keydown', e => {
+    const row = e.target.closest('.manage-row');
+    if (!row || !e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+    e.preventDefault();
+    const sibling = e.key === 'ArrowUp' ? row.previousElementSibling : row.nextElementSibling;
+    if (!sibling) return;
+    list.insertBefore(row, e.key === 'ArrowUp' ? sibling : sibling.nextSibling);
+    row.focus();
+    savePinOrder(list);
+  });
+}
+
+async function savePinOrder(list) {
+  const urls = [...list.querySelectorAll('.manage-row')].map(row => row.dataset.url);
+  if (urls.join('\n') === curationData.pinned.map(p => p.url).join('\n')) return;
+  try {
+    await curationRequest('PUT', '/api/curation/pin/order', { urls });
+    curationData.pinned = urls.map(url => curationData.pinned.find(p => p.url === url));
+    await fetchNews();
+    showToast('Pin order saved');
+  } catch (err) {
+    showToast(`Error: ${err.message}`);
+    renderEditorManage();
+  }
+}
+
+/* ── Auto-curation rules ── */
+const RULE_TYPES = {
+  block_domain:   { label: 'Block domain',        placeholder: 'example.com' },
+  allow_domain:   { label: 'Allow domain',        placeholder: 'example.com' },
+  block_keyword:  { label: 'Block title keyword', placeholder: 'word or phrase' },
+  boost_source:   { label: 'Boost source',        placeholder: 'outlet name or domain' },
+  force_category: { label: 'Force category',      placeholder: 'outlet name or domain' },
+  push_keyword:   { label: 'Push alert keyword',  placeholder: 'word or phrase' },
+};
+
+function ruleSummary(rule) {
+  return `${RULE_TYPES[rule.type].label}: <strong>${escHtml(rule.pattern)}</strong>${rule.category ? ` → ${escHtml(rule.category)}` : ''}`;
+}
+
+function rulePreviewHtml({ affectedCount, affected }) {
+  if (!affectedCount) return '<p class="manage-hint">No current articles affected.</p>';
+  return `
+    <ul class="rule-preview">
+      ${affected.map(a => `
+        <li><span class="rule-effect">${escHtml(a.effect)}</span> ${escHtml(a.title)} <span class="manage-hint">· ${escHtml(a.source)}</span></li>`).join('')}
+      ${affectedCount > affected.length ? `<li class="manage-hint">…and ${affectedCount - affected.length} more</li>` : ''}
+    </ul>`;
+}
+
+async function renderRules(panel) {
+  panel.innerHTML = '<p style="font-size:0.875rem;color:var(--text-muted)">Loading…</p>';
+  let data;
+  try {
+    data = await curationRequest('GET', '/api/curation/rules');
+  } catch (err) {
+    panel.innerHTML = `<p class="editor-login-error">${escHtml(err.message)}</p>`;
+    return;
+  }
+
+  panel.innerHTML = `
     <section class="info-section">
-      <h3 class="info-heading">Pinned (${pinned.length})</h3>
-      ${pinned.length === 0
-        ? '<p style="font-size:0.875rem;color:var(--text-muted)">No pinned articles. Pin articles from the feed using editor mode.</p>'
-        : pinned.map(p => `
-          <div class="manage-row" data-url="${escHtml(p.url)}">
+      <h3 class="info-heading">Rules (${data.rules.length})</h3>
+      <p class="manage-hint">Applied to every fetched article. Previews check the ${data.articlesChecked} articles currently cached.</p>
+      ${data.rules.length === 0
+        ? '<p style="font-size:0.875rem;color:var(--text-muted)">No rules yet.</p>'
+        : data.rules.map(rule => `
+          <div class="manage-row manage-row--rule">
             <div class="manage-row-info">
-              <div class="manage-row-title">${escHtml(p.title || p.url)}</div>
-              <div class="manage-row-meta">${escHtml(p.source || '')}${p.note ? ` · <em>${escHtml(p.note)}</em>` : ''}</div>
+              <div class="manage-row-title">${ruleSummary(rule)}</div>
+              <div class="manage-row-meta">
+                <button class="rule-affected-btn" aria-expanded="false">${rule.affectedCount} article${rule.affectedCount !== 1 ? 's' : ''} affected</button>
+                · ${escHtml(rule.createdBy || 'unknown')}${rule.note ? ` · <em>${escHtml(rule.note)}</em>` : ''}
+              </div>
+              <div class="rule-affected" hidden>${rulePreviewHtml(rule)}</div>
             </div>
-            <button class="editor-btn editor-unpin-btn manage-unpin-btn" data-url="${escHtml(p.url)}">Unpin</button>
+            ${canCurate() ? `<button class="editor-btn editor-hide-btn rule-delete-btn" data-id="${rule.id}">Delete</button>` : ''}
           </div>`).join('')}
     </section>
+    ${canCurate() ? `
     <section class="info-section">
-      <h3 class="info-heading">Hidden (${hidden.length})</h3>
-      ${hidden.length === 0
-        ? '<p style="font-size:0.875rem;color:var(--text-muted)">No hidden articles.</p>'
-        : hidden.map(url => `
-          <div class="manage-row" data-url="${escHtml(url)}">
+      <h3 class="info-heading">Add a rule</h3>
+      <form class="rule-form" id="rule-form">
+        <select name="type" class="editor-token-input" aria-label="Rule type">
+          ${Object.entries(RULE_TYPES).map(([value, { label }]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+        <input type="text" name="pattern" class="editor-token-input" placeholder="${RULE_TYPES.block_domain.placeholder}" aria-label="Pattern" required maxlength="200" />
+        <select name="category" class="editor-token-input" aria-label="Category" hidden>
+          ${customTopics.categories.map(c => `<option>${escHtml(c)}</option>`).join('')}
+        </select>
+        <input type="text" name="note" class="editor-token-input" placeholder="Why? (optional)" maxlength="300" />
+        <div class="rule-form-actions">
+          <button type="button" class="ctrl-btn" id="rule-preview-btn">Preview</button>
+          <button type="submit" class="retry-btn">Add rule</button>
+        </div>
+      </form>
+      <div id="rule-preview"></div>
+    </section>` : ''}`;
+
+  panel.querySelectorAll('.rule-affected-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const list = btn.closest('.manage-row-info').querySelector('.rule-affected');
+      list.hidden = !list.hidden;
+      btn.setAttribute('aria-expanded', String(!list.hidden));
+    });
+  });
+  panel.querySelectorAll('.rule-delete-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await curationRequest('DELETE', `/api/curation/rules/${btn.dataset.id}`);
+        showToast('Rule deleted');
+        await fetchNews();
+        renderRules(panel);
+      } catch (err) {
+        showToast(`Error: ${err.message}`);
+      }
+    });
+  });
+
+  const form = document.getElementById('rule-form');
+  if (!form) return;
+  const { type, pattern, category, note } = form.elements;
+  const ruleBody = () => ({ type: type.value, pattern: pattern.value.trim(), category: category.value, note: note.value.trim() });
+  type.addEventListener('change', () => {
+    pattern.placeholder = RULE_TYPES[type.value].placeholder;
+    category.hidden = type.value !== 'force_category';
+  });
+  document.getElementById('rule-preview-btn').addEventListener('click', async () => {
+    const preview = document.getElementById('rule-preview');
+    if (!pattern.value.trim()) { pattern.focus(); return; }
+    try {
+      preview.innerHTML = rulePreviewHtml(await curationRequest('POST', '/api/curation/rules/preview', ruleBody()));
+    } catch (err) {
+      preview.innerHTML = `<p class="editor-login-error">${escHtml(err.message)}</p>`;
+    }
+  });
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    try {
+      await curationRequest('POST', '/api/curation/rules', ruleBody());
+      showToast('Rule added');
+      await fetchNews();
+      renderRules(panel);
+    } catch (err) {
+      showToast(`Error: ${err.message}`);
+    }
+  });
+}
+
+/* ── Custom regions + watchlists ── */
+const TOPIC_KINDS = {
+  region:    { label: 'Region',    hint: 'Narrows the climate justice feed to stories that also mention one of these places.' },
+  watchlist: { label: 'Watchlist', hint: 'A feed of its own: stories mentioning any of these terms, e.g. a campaign or a fund.' },
+};
+
+function topicFormHtml(topic = null) {
+  return `
+    <form class="rule-form topic-form" id="topic-form"${topic ? ` data-key="${escHtml(topic.key)}"` : ''}>
+      <select name="kind" class="editor-token-input" aria-label="Kind"${topic ? ' disabled' : ''}>
+        ${Object.entries(TOPIC_KINDS).map(([value, { label }]) => `
+          <option value="${value}"${topic?.kind === value ? ' selected' : ''}>${label}</option>`).join('')}
+      </select>
+      <input type="text" name="label" class="editor-token-input" placeholder="Button label" aria-label="Label" required maxlength="60" value="${escHtml(topic?.label || '')}" />
+      <textarea name="terms" class="editor-token-input topic-terms" rows="5" placeholder="One term per line" aria-label="Terms" required>${escHtml((topic?.terms || []).join('\n'))}</textarea>
+      <p class="manage-hint topic-kind-hint">${TOPIC_KINDS[topic?.kind || 'region'].hint}</p>
+      <div class="rule-form-actions">
+        <button type="submit" class="retry-btn">${topic ? 'Save changes' : 'Add'}</button>
+        ${topic ? '<button type="button" class="ctrl-btn" id="topic-cancel-btn">Cancel</button>' : ''}
+      </div>
+    </form>`;
+}
+
+async function renderTopics(panel, editing = null) {
+  panel.innerHTML = '<p style="font-size:0.875rem;color:var(--text-muted)">Loading…</p>';
+  let topics;
+  try {
+    ({ topics } = await curationRequest('GET', '/api/curation/topics'));
+  } catch (err) {
+    panel.innerHTML = `<p class="editor-login-error">${escHtml(err.message)}</p>`;
+    return;
+  }
+  const topic = topics.find(tp => tp.key === editing) || null;
+
+  panel.innerHTML = `
+    <section class="info-section">
+      <h3 class="info-heading">Regions &amp; watchlists (${topics.length})</h3>
+      <p class="manage-hint">Shown as extra buttons in the feed. Long term lists are split across several upstream queries, and each query counts against the daily request budget.</p>
+      ${topics.length === 0
+        ? '<p style="font-size:0.875rem;color:var(--text-muted)">None yet.</p>'
+        : topics.map(tp => `
+          <div class="manage-row">
             <div class="manage-row-info">
-              <div class="manage-row-title manage-row-url">${escHtml(url)}</div>
+              <div class="manage-row-title">${TOPIC_KINDS[tp.kind].label}: <strong>${escHtml(tp.label)}</strong></div>
+              <div class="manage-row-meta">
+                ${tp.terms.length} term${tp.terms.length !== 1 ? 's' : ''} · ${tp.queries} quer${tp.queries !== 1 ? 'ies' : 'y'} · ${escHtml(tp.createdBy || 'unknown')}
+              </div>
+              <div class="manage-row-meta">${escHtml(tp.terms.slice(0, 8).join(', '))}${tp.terms.length > 8 ? ', …' : ''}</div>
             </div>
-            <button class="editor-btn editor-unhide-btn manage-unhide-btn" data-url="${escHtml(url)}">Unhide</button>
+            ${canCurate() ? `
+              <button class="editor-btn topic-edit-btn" data-key="${escHtml(tp.key)}">Edit</button>
+              <button class="editor-btn editor-hide-btn topic-delete-btn" data-key="${escHtml(tp.key)}">Delete</button>` : ''}
           </div>`).join('')}
+    </section>
+    ${canCurate() ? `
+    <section class="info-section">
+      <h3 class="info-heading">${topic ? `Edit “${escHtml(topic.label)}”` : 'Add a region or watchlist'}</h3>
+      ${topicFormHtml(topic)}
+    </section>` : ''}`;
+
+  panel.querySelectorAll('.topic-edit-btn').forEach(btn => {
+    btn.addEventListener('click', () => renderTopics(panel, btn.dataset.key));
+  });
+  panel.querySelectorAll('.topic-delete-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await curationRequest('DELETE', `/api/curation/topics/${encodeURIComponent(btn.dataset.key)}`);
+        showToast('Deleted');
+        await refreshTopics();
+        renderTopics(panel);
+      } catch (err) {
+        showToast(`Error: ${err.message}`);
+      }
+    });
+  });
+
+  const form = document.getElementById('topic-form');
+  if (!form) return;
+  const { kind, label, terms } = form.elements;
+  kind.addEventListener('change', () => {
+    form.querySelector('.topic-kind-hint').textContent = TOPIC_KINDS[kind.value].hint;
+  });
+  document.getElementById('topic-cancel-btn')?.addEventListener('click', () => renderTopics(panel));
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    const body = { kind: kind.value, label: label.value.trim(), terms: terms.value };
+    try {
+      const result = topic
+        ? await curationRequest('PUT', `/api/curation/topics/${encodeURIComponent(topic.key)}`, body)
+        : await curationRequest('POST', '/api/curation/topics', body);
+      showToast(`${topic ? 'Saved' : 'Added'} · ${result.queries} upstream quer${result.queries !== 1 ? 'ies' : 'y'}`);
+      await refreshTopics();
+      renderTopics(panel);
+    } catch (err) {
+      showToast(`Error: ${err.message}`);
+    }
+  });
+}
+
+/* Re-render the feed buttons after an edit; refetch if the active feed changed underneath */
+async function refreshTopics() {
+  await loadTopics();
+  allArticles = [];
+  await fetchNews();
+}
+
+/* ── Curation history ── */
+const HISTORY_ACTIONS = {
+  hide: 'Hid',
+  unhide: 'Unhid',
+  pin: 'Pinned',
+  unpin: 'Unpinned',
+  login: 'Logged in',
+  schedule: 'Edited pin',
+  reorder: 'Reordered pins',
+  'add-rule': 'Added rule',
+  'delete-rule': 'Deleted rule',
+  'add-article': 'Added article',
+  'update-article': 'Edited added article',
+  'remove-article': 'Removed added article',
+  'approve-tip': 'Approved tip',
+  'reject-tip': 'Rejected tip',
+  'duplicate-tip': 'Marked tip duplicate',
+  'reopen-tip': 'Reopened tip',
+  recategorize: 'Changed category',
+  'clear-category': 'Reset category',
+  'add-topic': 'Added region/watchlist',
+  'update-topic': 'Edited region/watchlist',
+  'delete-topic': 'Deleted region/watchlist',
+  'create-editor': 'Added editor',
+  'revoke-editor': 'Revoked editor',
+  'add-webhook': 'Added webhook',
+  'update-webhook': 'Edited webhook',
+  'delete-webhook': 'Deleted webhook',
+  'rotate-webhook-secret': 'Replaced webhook secret',
+};
+
+function renderHistory(panel) {
+  panel.innerHTML = `
+    <form class="history-filters" id="history-filters">
+      <select name="action" class="editor-token-input" aria-label="Action">
+        <option value="">All actions</option>
+        ${Object.entries(HISTORY_ACTIONS).map(([value, label]) => `
+          <option value="${value}"${historyFilters.action === value ? ' selected' : ''}>${label}</option>`).join('')}
+      </select>
+      <input type="url" name="url" class="editor-token-input" placeholder="Article URL" value="${escHtml(historyFilters.url)}" />
+      <input type="date" name="from" class="editor-token-input" aria-label="From" value="${escHtml(historyFilters.from)}" />
+      <input type="date" name="to" class="editor-token-input" aria-label="To" value="${escHtml(historyFilters.to)}" />
+      <button type="submit" class="retry-btn">Filter</button>
+    </form>
+    <div id="history-list"><p style="font-size:0.875rem;color:var(--text-muted)">Loading…</p></div>
+    <button id="history-more-btn" class="retry-btn" style="display:none;align-self:center">Load older</button>`;
+
+  document.getElementById('history-filters').addEventListener('submit', e => {
+    e.preventDefault();
+    const { action, url, from, to } = e.target.elements;
+    historyFilters = { action: action.value, url: url.value.trim(), from: from.value, to: to.value };
+    loadHistory();
+  });
+  document.getElementById('history-more-btn').addEventListener('click', () => loadHistory(true));
+  loadHistory();
+}
+
+async function loadHistory(append = false) {
+  const list = document.getElementById('history-list');
+  const moreBtn = document.getElementById('history-more-btn');
+  if (!list) return;
+  historyPage = append ? historyPage + 1 : 1;
+
+  const params = new URLSearchParams({ page: historyPage });
+  Object.entries(historyFilters).forEach(([key, value]) => { if (value) params.set(key, value); });
+
+  let data;
+  try {
+    data = await curationRequest('GET', `/api/curation/history?${params}`);
+  } catch (err) {
+    list.innerHTML = `<p class="editor-login-error">${escHtml(err.message)}</p>`;
+    return;
+  }
+
+  const rows = data.events.map(ev => {
+    const subject = [
+      ev.title || ev.url || ev.details?.target || ev.details?.pattern || ev.details?.label || ev.details?.name || '',
+      ev.action === 'recategorize' ? `${ev.details.previous || '?'} → ${ev.details.category}` : '',
+    ].filter(Boolean).join(' · ');
+    const meta = [
+      escHtml(ev.editor || 'unknown'),
+      escHtml(new Date(ev.createdAt).toLocaleString()),
+      ev.reverts ? 'undo' : '',
+      ev.revertedBy ? `reverted by ${escHtml(ev.revertedBy.editor || 'unknown')}` : '',
+    ].filter(Boolean).join(' · ');
+    return `
+      <div class="manage-row${ev.revertedBy ? ' manage-row--reverted' : ''}">
+        <div class="manage-row-info">
+          <div class="manage-row-title">${escHtml(HISTORY_ACTIONS[ev.action] || ev.action)}${subject ? ` · ${escHtml(subject)}` : ''}</div>
+          <div class="manage-row-meta">${meta}</div>
+        </div>
+        ${ev.revertible && canCurate()
+          ? `<button class="editor-btn history-revert-btn" data-id="${ev.id}" title="Undo this change">Revert</button>`
+          : ''}
+      </div>`;
+  }).join('');
+
+  if (append) {
+    list.insertAdjacentHTML('beforeend', rows);
+  } else {
+    list.innerHTML = rows || '<p style="font-size:0.875rem;color:var(--text-muted)">No matching changes.</p>';
+  }
+  moreBtn.style.display = historyPage * data.pageSize < data.total ? '' : 'none';
+
+  list.querySelectorAll('.history-revert-btn:not([data-bound])').forEach(btn => {
+    btn.dataset.bound = '1';
+    btn.addEventListener('click', () => revertHistoryEvent(btn.dataset.id));
+  });
+}
+
+async function revertHistoryEvent(id) {
+  try {
+    await curationRequest('POST', `/api/curation/history/${id}/revert`);
+    await fetchCuration();
+    await fetchNews();
+    loadHistory();
+    showToast('Change reverted');
+  } catch (err) {
+    showToast(`Error: ${err.message}`);
+  }
+}
+
+/* ── Editor accounts (admins only) ── */
+async function renderEditorAccounts(panel) {
+  panel.innerHTML = `
+    <section class="info-section" id="manage-editors">
+      <h3 class="info-heading">Editors</h3>
+      <p style="font-size:0.875rem;color:var(--text-muted)">Loading…</p>
     </section>`;
+  const section = document.getElementById('manage-editors');
+  let editors;
+  try {
+    ({ editors } = await curationRequest('GET', '/api/editors'));
+  } catch (err) {
+    section.innerHTML = `<h3 class="info-heading">Editors</h3><p class="editor-login-error">${escHtml(err.message)}</p>`;
+    return;
+  }
 
-  editorManageBody.querySelectorAll('.manage-unpin-btn').forEach(btn => {
-    btn.addEventListener('click', () => editorUnpin(btn.dataset.url));
+  section.innerHTML = `
+    <h3 class="info-heading">Editors (${editors.filter(e => !e.revokedAt).length})</h3>
+    ${editors.map(e => `
+      <div class="manage-row${e.revokedAt ? ' manage-row--revoked' : ''}">
+        <div class="manage-row-info">
+          <div class="manage-row-title">${escHtml(e.username)}</div>
+          <div class="manage-row-meta">${escHtml(e.role)}${e.revokedAt
+            ? ` · revoked ${new Date(e.revokedAt).toLocaleDateString()}`
+            : ` · ${e.activeSessions} active session${e.activeSessions !== 1 ? 's' : ''}`}</div>
+        </div>
+        ${!e.revokedAt && e.username !== editorProfile.username
+          ? `<button class="editor-btn editor-hide-btn manage-revoke-btn" data-id="${e.id}" data-username="${escHtml(e.username)}">Revoke</button>`
+          : ''}
+      </div>`).join('')}
+    <form class="editor-create-form" id="editor-create-form">
+      <input type="text" name="username" class="editor-token-input" placeholder="New username" autocomplete="off" autocapitalize="none" required />
+      <input type="password" name="password" class="editor-token-input" placeholder="Password (10+ characters)" autocomplete="new-password" minlength="10" required />
+      <select name="role" class="editor-token-input" aria-label="Role">
+        <option value="editor">Editor</option>
+        <option value="viewer">Viewer (read-only)</option>
+        <option value="admin">Admin</option>
+      </select>
+      <button type="submit" class="retry-btn">Add editor</button>
+    </form>`;
+
+  section.querySelectorAll('.manage-revoke-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (!confirm(`Revoke ${btn.dataset.username}? They will be signed out immediately.`)) return;
+      try {
+        await curationRequest('DELETE', `/api/editors/${btn.dataset.id}`);
+        showToast(`Revoked ${btn.dataset.username}`);
+        renderEditorAccounts(panel);
+      } catch (err) {
+        showToast(`Error: ${err.message}`);
+      }
+    });
   });
-  editorManageBody.querySelectorAll('.manage-unhide-btn').forEach(btn => {
-    btn.addEventListener('click', () => editorUnhide(btn.dataset.url));
+
+  document.getElementById('editor-create-form').addEventListener('submit', async e => {
+    e.preventDefault();
+    const { username, password, role } = e.target.elements;
+    try {
+      await curationRequest('POST', '/api/editors', {
+        username: username.value.trim(),
+        password: password.value,
+        role: role.value,
+      });
+      showToast(`Added ${username.value.trim()}`);
+      renderEditorAccounts(panel);
+    } catch (err) {
+      showToast(`Error: ${err.message}`);
+    }
+  });
+}
+
+/* ── Webhooks (admin) ── */
+const WEBHOOK_EVENT_LABELS = { pin: 'Pinned', unpin: 'Unpinned', hide: 'Hidden', breaking: 'Breaking news' };
+const WEBHOOK_FORMAT_LABELS = { generic: 'JSON (signed)', slack: 'Slack', discord: 'Discord', mattermost: 'Mattermost' };
+
+function webhookFormHtml(hook = null) {
+  const events = hook?.events || ['pin'];
+  return `
+    <form class="rule-form webhook-form" id="webhook-form">
+      <input type="text" name="name" class="editor-token-input" placeholder="Name, e.g. #newsroom" aria-label="Name" required maxlength="60" value="${escHtml(hook?.name || '')}" />
+      <select name="format" class="editor-token-input" aria-label="Format">
+        ${Object.entries(WEBHOOK_FORMAT_LABELS).map(([value, label]) => `
+          <option value="${value}"${hook?.format === value ? ' selected' : ''}>${label}</option>`).join('')}
+      </select>
+      <input type="url" name="url" class="editor-token-input webhook-wide" placeholder="https://hooks.slack.com/services/…" aria-label="URL" required maxlength="2000" value="${escHtml(hook?.url || '')}" />
+      <fieldset class="webhook-events webhook-wide">
+        <legend class="manage-hint">Send</legend>
+        ${Object.entries(WEBHOOK_EVENT_LABELS).map(([value, label]) => `
+          <label><input type="checkbox" name="events" value="${value}"${events.includes(value) ? ' checked' : ''} /> ${label}</label>`).join('')}
+      </fieldset>
+      <textarea name="keywords" class="editor-token-input topic-terms webhook-wide" rows="3" placeholder="Breaking-news keywords, one per line" aria-label="Keywords">${escHtml((hook?.keywords || []).join('\n'))}</textarea>
+      <label class="webhook-events webhook-wide"><input type="checkbox" name="enabled"${hook?.enabled === false ? '' : ' checked'} /> Enabled</label>
+      <div class="rule-form-actions">
+        <button type="submit" class="retry-btn">${hook ? 'Save changes' : 'Add webhook'}</button>
+        ${hook ? `
+          <button type="button" class="ctrl-btn" id="webhook-secret-btn">New secret</button>
+          <button type="button" class="ctrl-btn" id="webhook-cancel-btn">Cancel</button>` : ''}
+      </div>
+    </form>`;
+}
+
+function deliveryLogHtml(deliveries) {
+  if (!deliveries.length) return '<p class="manage-hint">No deliveries yet.</p>';
+  return `
+    <ul class="rule-preview">
+      ${deliveries.map(d => `
+        <li>
+          <span class="rule-effect webhook-status--${d.status}">${d.status}</span>
+          ${escHtml(d.event)} · ${escHtml(new Date(d.createdAt).toLocaleString())}
+          <span class="manage-hint">· ${d.attempts} attempt${d.attempts !== 1 ? 's' : ''}${d.error ? ` · ${escHtml(d.error)}` : d.statusCode ? ` · HTTP ${d.statusCode}` : ''}${d.nextAttemptAt ? ` · next try ${escHtml(new Date(d.nextAttemptAt).toLocaleTimeString())}` : ''}</span>
+          ${d.status !== 'pending' ? `<button class="rule-affected-btn webhook-retry-btn" data-id="${d.id}">Send again</button>` : ''}
+        </li>`).join('')}
+    </ul>`;
+}
+
+/* `secret` is shown once, right after a webhook is added or its secret replaced */
+async function renderWebhooks(panel, { editing = null, secret = null } = {}) {
+  panel.innerHTML = '<p style="font-size:0.875rem;color:var(--text-muted)">Loading…</p>';
+  let webhooks;
+  try {
+    ({ webhooks } = await curationRequest('GET', '/api/webhooks'));
+  } catch (err) {
+    panel.innerHTML = `<p class="editor-login-error">${escHtml(err.message)}</p>`;
+    return;
+  }
+  const hook = webhooks.find(w => w.id === editing) || null;
+
+  panel.innerHTML = `
+    ${secret ? `
+    <section class="info-section webhook-secret">
+      <h3 class="info-heading">Signing secret for “${escHtml(secret.name)}”</h3>
+      <p class="manage-hint">Copy it now; it won't be shown again. Receivers check each delivery's X-Webhook-Signature header against it.</p>
+      <code>${escHtml(secret.value)}</code>
+    </section>` : ''}
+    <section class="info-section">
+      <h3 class="info-heading">Webhooks (${webhooks.length})</h3>
+      <p class="manage-hint">Posts to chat channels or your own services when editors pin, unpin or hide stories, and when new stories match breaking-news keywords. Failed deliveries are retried for about 15 hours.</p>
+      ${webhooks.length === 0
+        ? '<p style="font-size:0.875rem;color:var(--text-muted)">None yet.</p>'
+        : webhooks.map(w => `
+          <div class="manage-row manage-row--rule${w.enabled ? '' : ' manage-row--revoked'}">
+            <div class="manage-row-info">
+              <div class="manage-row-title">${escHtml(w.name)} <span class="manage-row-url">${WEBHOOK_FORMAT_LABELS[w.format]}${w.enabled ? '' : ' · disabled'}</span></div>
+              <div class="manage-row-meta">
+                ${w.events.map(e => WEBHOOK_EVENT_LABELS[e]).join(', ')}${w.keywords.length ? ` · ${escHtml(w.keywords.slice(0, 6).join(', '))}${w.keywords.length > 6 ? ', …' : ''}` : ''}
+              </div>
+              <div class="manage-row-meta">
+                <button class="rule-affected-btn webhook-log-btn" data-id="${w.id}" aria-expanded="false">Deliveries</button>
+                · ${w.pending} pending · ${w.failed} failed${w.lastDeliveredAt ? ` · last sent ${escHtml(new Date(w.lastDeliveredAt).toLocaleString())}` : ''}
+              </div>
+              <div class="rule-affected" hidden></div>
+            </div>
+            <button class="editor-btn webhook-test-btn" data-id="${w.id}">Test</button>
+            <button class="editor-btn webhook-edit-btn" data-id="${w.id}">Edit</button>
+            <button class="editor-btn editor-hide-btn webhook-delete-btn" data-id="${w.id}" data-name="${escHtml(w.name)}">Delete</button>
+          </div>`).join('')}
+    </section>
+    <section class="info-section">
+      <h3 class="info-heading">${hook ? `Edit “${escHtml(hook.name)}”` : 'Add a webhook'}</h3>
+      ${webhookFormHtml(hook)}
+    </section>`;
+
+  const loadLog = async list => {
+    try {
+      const { deliveries } = await curationRequest('GET', `/api/webhooks/${list.dataset.id}/deliveries`);
+      list.innerHTML = deliveryLogHtml(deliveries);
+    } catch (err) {
+      list.innerHTML = `<p class="editor-login-error">${escHtml(err.message)}</p>`;
+      return;
+    }
+    list.querySelectorAll('.webhook-retry-btn').forEach(btn => {
+      btn.addEventListener('click', async () => {
+        try {
+          await curationRequest('POST', `/api/webhooks/deliveries/${btn.dataset.id}/retry`);
+          showToast('Delivery queued');
+          loadLog(list);
+        } catch (err) {
+          showToast(`Error: ${err.message}`);
+        }
+      });
+    });
+  };
+  panel.querySelectorAll('.webhook-log-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const list = btn.closest('.manage-row-info').querySelector('.rule-affected');
+      list.hidden = !list.hidden;
+      btn.setAttribute('aria-expanded', String(!list.hidden));
+      if (!list.hidden) {
+        list.dataset.id = btn.dataset.id;
+        list.innerHTML = '<p class="manage-hint">Loading…</p>';
+        loadLog(list);
+      }
+    });
+  });
+  panel.querySelectorAll('.webhook-test-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      try {
+        await curationRequest('POST', `/api/webhooks/${btn.dataset.id}/test`);
+        showToast('Test notification queued');
+      } catch (err) {
+        showToast(`Error: ${err.message}`);
+      }
+    });
+  });
+  panel.querySelectorAll('.webhook-edit-btn').forEach(btn => {
+    btn.addEventListener('click', () => renderWebhooks(panel, { editing: Number(btn.dataset.id) }));
+  });
+  panel.querySelectorAll('.webhook-delete-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      if (!confirm(`Delete the webhook “${btn.dataset.name}” and its delivery log?`)) return;
+      try {
+        await curationRequest('DELETE', `/api/webhooks/${btn.dataset.id}`);
+        showToast('Webhook deleted');
+        renderWebhooks(panel);
+      } catch (err) {
+        showToast(`Error: ${err.message}`);
+      }
+    });
+  });
+
+  const form = document.getElementById('webhook-form');
+  document.getElementById('webhook-cancel-btn')?.addEventListener('click', () => renderWebhooks(panel));
+  document.getElementById('webhook-secret-btn')?.addEventListener('click', async () => {
+    if (!confirm(`Replace the signing secret for “${hook.name}”? Receivers checking the old one will reject deliveries until updated.`)) return;
+    try {
+      const { secret: value } = await curationRequest('POST', `/api/webhooks/${hook.id}/secret`);
+      renderWebhooks(panel, { secret: { name: hook.name, value } });
+    } catch (err) {
+      showToast(`Error: ${err.message}`);
+    }
+  });
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    const { name, format, url, keywords, enabled } = form.elements;
+    const body = {
+      name: name.value.trim(),
+      format: format.value,
+      url: url.value.trim(),
+      events: [...form.querySelectorAll('input[name="events"]:checked')].map(box => box.value),
+      keywords: keywords.value,
+      enabled: enabled.checked,
+    };
+    try {
+      if (hook) {
+        await curationRequest('PUT', `/api/webhooks/${hook.id}`, body);
+        showToast('Webhook saved');
+        renderWebhooks(panel);
+      } else {
+        const { secret: value } = await curationRequest('POST', '/api/webhooks', body);
+        showToast('Webhook added');
+        renderWebhooks(panel, { secret: { name: body.name, value } });
+      }
+    } catch (err) {
+      showToast(`Error: ${err.message}`);
+    }
   });
 }
 
@@ -632,12 +2878,11 @@ async function curationRequest(method, path, body) {
   const res = await fetch(path, {
     method,
     headers: { 'Content-Type': 'application/json', 'X-Editor-Token': editorToken },
-    body: JSON.stringify(body),
+    body: body ? JSON.stringify(body) : undefined,
   });
   if (res.status === 401) {
-    /* Token rejected — clear it and drop out of editor mode */
-    editorToken = '';
-    sessionStorage.removeItem('cj_editor_token');
+    /* Session expired or revoked — clear it and drop out of editor mode */
+    clearEditorSession();
     exitEditorMode();
     showToast('Session expired. Please log in again.');
     throw new Error('Unauthorized');
@@ -660,7 +2905,9 @@ async function editorHide(article) {
       card.classList.add('card--removing');
       setTimeout(() => { card.remove(); updateArticleCount(); }, 300);
     }
-    showToast('Article hidden from feed');
+    showToast(article.related?.length
+      ? `Story hidden from feed (${article.related.length + 1} sources)`
+      : 'Article hidden from feed');
   } catch (err) {
     showToast(`Error: ${err.message}`);
   }
@@ -672,7 +2919,7 @@ async function editorUnhide(url) {
     curationData.hidden = curationData.hidden.filter(u => u !== url);
     updateEditorCounts();
     /* Refresh feed to bring the article back */
-    await fetchNews(true);
+    await fetchNews();
     renderEditorManage();
     showToast('Article restored to feed');
   } catch (err) {
@@ -680,31 +2927,96 @@ async function editorUnhide(url) {
   }
 }
 
-async function editorPin(article) {
-  const note = prompt('Optional editor note (leave blank for none):') ?? '';
-  if (note === null) return; // cancelled
+/* ── Pin dialog: note and display window, for new pins and edits ── */
+let pinDialogTarget = null; // the article being pinned, or the existing pin being edited
+let pinDialogEditing = false;
+let pinDialogTip = null;     // the reader tip this pin approves, if any
 
+/* datetime-local inputs work in local time without a zone */
+function toLocalInput(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60_000).toISOString().slice(0, 16);
+}
+
+function fromLocalInput(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function openPinDialog(article, editing = false, tip = null) {
+  pinDialogTarget = article;
+  pinDialogEditing = editing;
+  pinDialogTip = tip;
+  editorPinTitle.textContent = editing ? 'Edit pin' : 'Pin article';
+  editorPinSubmit.textContent = editing ? 'Save' : 'Pin';
+  editorPinArticle.textContent = article.title || article.url;
+  pinNoteInput.value = editing ? article.note || '' : '';
+  pinStartInput.value = editing ? toLocalInput(article.startAt) : '';
+  pinExpiresInput.value = editing ? toLocalInput(article.expiresAt) : '';
+  editorPinError.style.display = 'none';
+  editorPinOverlay.style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+  setTimeout(() => pinNoteInput.focus(), 60);
+}
+
+function closePinDialog() {
+  editorPinOverlay.style.display = 'none';
+  if (editorManageOverlay.style.display === 'none') document.body.style.overflow = '';
+}
+
+editorPinClose.addEventListener('click', closePinDialog);
+editorPinOverlay.addEventListener('click', e => { if (e.target === editorPinOverlay) closePinDialog(); });
+
+editorPinForm.addEventListener('submit', async e => {
+  e.preventDefault();
+  const schedule = {
+    note: pinNoteInput.value.trim(),
+    startAt: fromLocalInput(pinStartInput.value),
+    expiresAt: fromLocalInput(pinExpiresInput.value),
+  };
+  if (schedule.startAt && schedule.expiresAt && schedule.expiresAt <= schedule.startAt) {
+    editorPinError.textContent = '"Until" must be after "Show from".';
+    editorPinError.style.display = '';
+    return;
+  }
+  editorPinSubmit.disabled = true;
   try {
-    await curationRequest('POST', '/api/curation/pin', {
-      url: article.url,
-      title: article.title,
-      source: article.source,
-      author: article.author,
-      description: article.description,
-      image: article.image,
-      publishedAt: article.publishedAt,
-      readTime: article.readTime,
-      category: article.category,
-      note: note.trim(),
-    });
-    curationData.pinned.unshift({ ...article, note: note.trim() });
-    updateEditorCounts();
-    /* Refresh feed so pinned article appears at top with badge */
-    await fetchNews(true);
-    showToast('Article pinned to top of feed');
+    if (pinDialogEditing) {
+      await curationRequest('PATCH', '/api/curation/pin', { url: pinDialogTarget.url, ...schedule });
+    } else {
+      await editorPin(pinDialogTarget, schedule);
+    }
+    if (pinDialogTip) await setTipStatus(pinDialogTip, 'approved', { quiet: true });
+    closePinDialog();
+    await fetchCuration();
+    await fetchNews();
+    if (editorManageOverlay.style.display !== 'none') renderEditorManage();
+    showToast(schedule.startAt && Date.parse(schedule.startAt) > Date.now()
+      ? 'Pin scheduled'
+      : pinDialogEditing ? 'Pin updated' : 'Article pinned to top of feed');
   } catch (err) {
-    showToast(`Error: ${err.message}`);
+    editorPinError.textContent = err.message;
+    editorPinError.style.display = '';
+  } finally {
+    editorPinSubmit.disabled = false;
   }
+});
+
+async function editorPin(article, { note, startAt, expiresAt }) {
+  await curationRequest('POST', '/api/curation/pin', {
+    url: article.url,
+    title: article.title,
+    source: article.source,
+    author: article.author,
+    description: article.description,
+    image: article.image,
+    publishedAt: article.publishedAt,
+    readTime: article.readTime,
+    category: article.category,
+    note,
+    startAt,
+    expiresAt,
+  });
 }
 
 async function editorUnpin(url) {
@@ -712,7 +3024,7 @@ async function editorUnpin(url) {
     await curationRequest('DELETE', '/api/curation/pin', { url });
     curationData.pinned = curationData.pinned.filter(p => p.url !== url);
     updateEditorCounts();
-    await fetchNews(true);
+    await fetchNews();
     if (editorManageOverlay.style.display !== 'none') renderEditorManage();
     showToast('Article unpinned');
   } catch (err) {
@@ -720,17 +3032,176 @@ async function editorUnpin(url) {
   }
 }
 
-function updateArticleCount() {
-  const cards = feed.querySelectorAll('.card:not(.card--removing)');
-  articleCount.textContent = `${cards.length} article${cards.length !== 1 ? 's' : ''}`;
+/* ── Add article: stories the news search never returned. The server reads the page's
+   Open Graph / JSON-LD metadata to prefill the form; the editor checks it and saves. ── */
+let addDialogEditing = false;
+let addDialogTip = null; // the reader tip this article approves, if any
+
+function openAddArticle(entry = null, tip = null) {
+  addDialogEditing = Boolean(entry);
+  addDialogTip = tip;
+  editorAddTitle.textContent = entry ? 'Edit added article' : 'Add article';
+  addUrlInput.value = entry?.url || tip?.url || '';
+  addUrlInput.readOnly = Boolean(entry); // the link identifies the entry
+  addLookupBtn.style.display = entry ? 'none' : '';
+  addLookupStatus.style.display = 'none';
+  editorAddError.style.display = 'none';
+  addLanguageInput.innerHTML = Object.entries(LANGUAGE_LABELS)
+    .map(([code, label]) => `<option value="${code}">${label}</option>`).join('');
+  /* New entries default to the feed being looked at */
+  const regions = entry ? entry.regions || [] : activeRegion !== 'global' ? [activeRegion] : [];
+  addRegions.innerHTML = alertOptionsHtml(selectableRegions().map(r => [r, regionLabelFor(r)]), regions);
+  fillAddFields(entry || { language: activeLanguage }, Boolean(entry));
+  showAddFields(Boolean(entry));
+  editorAddOverlay.style.display = 'flex';
+  document.body.style.overflow = 'hidden';
+  setTimeout(() => (entry ? addTitleInput : addUrlInput).focus(), 60);
+  if (tip) lookupAddArticle();
+}
+
+function closeAddArticle() {
+  editorAddOverlay.style.display = 'none';
+  if (editorManageOverlay.style.display === 'none') document.body.style.overflow = '';
+}
+
+function showAddFields(show) {
+  addFields.style.display = show ? '' : 'none';
+  addActions.style.display = show ? '' : 'none';
+  editorAddSubmit.textContent = addDialogEditing ? 'Save' : 'Add to feed';
+  editorAddPin.style.display = addDialogEditing ? 'none' : '';
+}
+
+/* A looked-up category is only a suggestion: "Automatic" keeps the classifier's pick */
+function fillAddFields(article, keepCategory = false) {
+  addTitleInput.value = article.title || '';
+  addSourceInput.value = article.source || '';
+  addAuthorInput.value = article.author || '';
+  addDescriptionInput.value = article.description || '';
+  addImageInput.value = article.image || '';
+  addPublishedInput.value = toLocalInput(article.publishedAt);
+  addCategoryInput.innerHTML = `
+    <option value="">${article.category && !keepCategory ? `Automatic (${escHtml(article.category)})` : 'Automatic'}</option>
+    ${customTopics.categories.map(c => `<option${keepCategory && c === article.category ? ' selected' : ''}>${escHtml(c)}</option>`).join('')}`;
+  addLanguageInput.value = LANGUAGE_LABELS[article.language] ? article.language : 'en';
+}
+
+function showAddError(message) {
+  editorAddError.textContent = message;
+  editorAddError.style.display = '';
+}
+
+async function lookupAddArticle() {
+  const url = addUrlInput.value.trim();
+  if (!url || !addUrlInput.checkValidity()) {
+    showAddError('Enter the full link, starting with https://');
+    return;
+  }
+  addLookupBtn.disabled = true;
+  addLookupBtn.textContent = 'Fetching…';
+  editorAddError.style.display = 'none';
+  try {
+    const { article, existing } = await curationRequest('POST', '/api/curation/lookup', { url });
+    addUrlInput.value = article.url;
+    fillAddFields(article);
+    addLookupStatus.textContent = existing
+      ? 'This article was already added. Saving replaces the earlier entry.'
+      : 'Check the details below before adding.';
+  } catch (err) {
+    if (err.message === 'Unauthorized') return;
+    /* Paywalls and bot checks often block the lookup; the form still works by hand */
+    addLookupStatus.textContent = `Couldn't read that page: ${err.message}. Fill in the details by hand.`;
+    if (!addSourceInput.value) addSourceInput.value = new URL(url).hostname.replace(/^www\./, '');
+  } finally {
+    addLookupBtn.disabled = false;
+    addLookupBtn.textContent = 'Fetch details';
+  }
+  addLookupStatus.style.display = '';
+  showAddFields(true);
+  addTitleInput.focus();
+}
+
+async function saveAddedArticle(pinAfter) {
+  const url = addUrlInput.value.trim();
+  const title = addTitleInput.value.trim();
+  if (!url || !addUrlInput.checkValidity()) return showAddError('Enter the full link, starting with https://');
+  if (!title) return showAddError('A headline is required.');
+  if (!addImageInput.checkValidity()) return showAddError('The image link must be a full http(s) link.');
+
+  editorAddSubmit.disabled = editorAddPin.disabled = true;
+  editorAddError.style.display = 'none';
+  try {
+    const { article } = await curationRequest('POST', '/api/curation/articles', {
+      url,
+      title,
+      source: addSourceInput.value.trim(),
+      author: addAuthorInput.value.trim() || null,
+      description: addDescriptionInput.value.trim(),
+      image: addImageInput.value.trim() || null,
+      publishedAt: fromLocalInput(addPublishedInput.value),
+      category: addCategoryInput.value || null,
+      language: addLanguageInput.value,
+      regions: selectedOptions(addRegions),
+    });
+    if (addDialogTip) await setTipStatus(addDialogTip, 'approved', { quiet: true });
+    closeAddArticle();
+    await fetchCuration();
+    await fetchNews();
+    if (editorManageOverlay.style.display !== 'none') renderEditorManage();
+    if (pinAfter) openPinDialog(article);
+    else showToast(addDialogEditing ? 'Added article updated' : 'Article added to feed');
+  } catch (err) {
+    showAddError(err.message);
+  } finally {
+    editorAddSubmit.disabled = editorAddPin.disabled = false;
+  }
+}
+
+async function editorRemoveAdded(url) {
+  try {
+    await curationRequest('DELETE', '/api/curation/articles', { url });
+    curationData.added = curationData.added.filter(m => m.url !== url);
+    updateEditorCounts();
+    await fetchNews();
+    if (editorManageOverlay.style.display !== 'none') renderEditorManage();
+    showToast('Added article removed from feed');
+  } catch (err) {
+    showToast(`Error: ${err.message}`);
+  }
+}
+
+editorAddClose.addEventListener('click', closeAddArticle);
+editorAddOverlay.addEventListener('click', e => { if (e.target === editorAddOverlay) closeAddArticle(); });
+editorAddForm.addEventListener('click', toggleOption);
+addLookupBtn.addEventListener('click', lookupAddArticle);
+addUrlInput.addEventListener('keydown', e => {
+  if (e.key !== 'Enter' || addDialogEditing) return;
+  e.preventDefault();
+  lookupAddArticle();
+});
+editorAddForm.addEventListener('submit', e => {
+  e.preventDefault();
+  saveAddedArticle(false);
+});
+editorAddPin.addEventListener('click', () => saveAddedArticle(true));
+
+async function editorSetCategory(article, category) {
+  try {
+    if (category) {
+      await curationRequest('PUT', '/api/curation/category', { url: article.url, category });
+    } else {
+      await curationRequest('DELETE', '/api/curation/category', { url: article.url });
+    }
+    await fetchNews();
+    showToast(category ? `Moved to ${category}` : 'Category reset to automatic');
+  } catch (err) {
+    showToast(`Error: ${err.message}`);
+  }
 }
 
 /* ===== Editor's Picks toggle ===== */
 function applyPicksToggle() {
   picksToggleBtn.classList.toggle('active', pinnedPicksEnabled);
-  picksToggleBtn.title = pinnedPicksEnabled
-    ? "Editor's picks pinned to top — click to unpin"
-    : "Editor's picks not pinned — click to pin to top";
+  picksToggleBtn.title = t(pinnedPicksEnabled ? 'picks.pinnedTitle' : 'picks.unpinnedTitle');
 }
 
 picksToggleBtn.addEventListener('click', () => {
@@ -738,10 +3209,53 @@ picksToggleBtn.addEventListener('click', () => {
   localStorage.setItem('cj_picks_pinned', pinnedPicksEnabled);
   applyPicksToggle();
   renderFeed();
-  showToast(pinnedPicksEnabled ? "Editor's picks pinned to top" : "Editor's picks unpinned");
+  showToast(t(pinnedPicksEnabled ? 'picks.pinnedToast' : 'picks.unpinnedToast'));
 });
 
-applyPicksToggle(); // sync button state on load
+/* ===== Interface language ===== */
+const localeSelect = document.getElementById('locale-select');
+
+localeSelect.addEventListener('change', async () => {
+  try {
+    await setLocale(localeSelect.value);
+    localStorage.setItem('cj_locale', uiLocale);
+  } catch {
+    localeSelect.value = uiLocale;
+    return;
+  }
+  /* Re-render everything built from strings at runtime */
+  updateSubtitle();
+  renderFilterChips();
+  applyPicksToggle();
+  updateAccountUi();
+  if (isArchiveMode) updateArchiveRange();
+  if (allArticles.length) renderFeed();
+  if (offlineBanner.style.display !== 'none') showOfflineBanner(offlineUpdatedAt);
+});
 
 /* ===== Init ===== */
-fetchNews();
+applyUrlState(true);
+syncUrl({ replace: true }); // drop unknown values, and show a stored feed language
+setLocale(detectLocale())
+  .catch(err => console.warn('Could not load interface strings:', err.message))
+  .finally(() => {
+    localeSelect.value = uiLocale;
+    applyPicksToggle();
+    if (hydrateFeed()) {
+      loadTopics();
+    } else if (activeTopic || !regionGroup.querySelector(`[data-region="${CSS.escape(activeRegion)}"]`)) {
+      /* A link's custom region or watchlist is only known once the topics have loaded */
+      loadTopics().finally(() => fetchNews());
+    } else {
+      fetchNews();
+      loadTopics();
+    }
+    syncSaved();
+    initAlerts();
+  });
+
+/* Offline support: caches the app shell and the feeds this device has loaded */
+if ('serviceWorker' in navigator) {
+  navigator.serviceWorker.register('/sw.js')
+    .catch(err => console.warn('Service worker registration failed:', err.message));
+}
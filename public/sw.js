@@ -0,0 +1,113 @@
+/* ===== ClimateJustice.news service worker =====
+   Keeps the reader usable on a flaky connection:
+   - The app shell (page, script, styles, interface strings, icons) is cached at install.
+   - Shell files, /api/news and /api/topics are network-first: whenever the network answers in
+     time the fresh copy is used and cached, otherwise the last cached copy is served.
+   - /api/news is cached per query (sort, range, region, language, category, watchlist, page).
+     Answers from the cache carry X-Offline-Cache: 1 so the page can show its offline banner.
+   Saved articles live in localStorage, so the Saved view needs nothing from here. Everything
+   else (search, archive, editor and account APIs, other pages) goes straight to the network.
+   It also shows the push alerts readers opt in to (see openAlerts in app.js). */
+const VERSION = 'v1';
+const SHELL_CACHE = `cj-shell-${VERSION}`;
+const API_CACHE = `cj-api-${VERSION}`;
+/* The /locales entries must match SUPPORTED_LOCALES in app.js */
+const SHELL = [
+  '/', '/app.js', '/style.css', '/manifest.webmanifest', '/icon.svg', '/icon-192.png', '/icon-512.png',
+  '/locales/en.json', '/locales/es.json', '/locales/fr.json', '/locales/pt.json', '/locales/ar.json',
+];
+const CACHED_APIS = ['/api/news', '/api/topics'];
+/* Feed answers kept, least recently fetched dropped first */
+const MAX_API_ENTRIES = 40;
+/* How long to wait for the network before falling back to the cache */
+const NETWORK_TIMEOUT_MS = 5000;
+
+self.addEventListener('install', event => {
+  /* cache: 'reload' skips the HTTP cache, where static files are kept for a day */
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL.map(url => new Request(url, { cache: 'reload' }))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const current = [SHELL_CACHE, API_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith('cj-') && !current.includes(k)).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    /* The query string holds the feed state (see applyUrlState in app.js); the page reads it */
+    if (url.pathname === '/') event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+  } else if (CACHED_APIS.includes(url.pathname)) {
+    /* Editors' forced refreshes must reach the server */
+    if (!url.searchParams.has('force')) event.respondWith(networkFirst(request, API_CACHE, request.url, true));
+  } else if (SHELL.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE, url.pathname));
+  }
+});
+
+/* The network's answer if it arrives within NETWORK_TIMEOUT_MS, else the cached copy. A late
+   answer still refreshes the cache for next time. With nothing cached, wait for the network
+   after all (and fail with it when offline). */
+async function networkFirst(request, cacheName, key, markCached = false) {
+  const cache = await caches.open(cacheName);
+  const network = fetch(request).then(async response => {
+    if (response.ok) {
+      await cache.put(key, response.clone());
+      if (cacheName === API_CACHE) await trimCache(cache, MAX_API_ENTRIES);
+    }
+    return response;
+  });
+  network.catch(() => {}); // handled below; avoid an unhandled rejection when the cache answers
+
+  const timeout = new Promise(resolve => setTimeout(resolve, NETWORK_TIMEOUT_MS));
+  try {
+    const response = await Promise.race([network, timeout]);
+    if (response) return response;
+  } catch { /* offline: fall back to the cache */ }
+
+  const cached = await cache.match(key);
+  if (!cached) return network;
+  return markCached ? withHeader(cached, 'X-Offline-Cache', '1') : cached;
+}
+
+function withHeader(response, name, value) {
+  const headers = new Headers(response.headers);
+  headers.set(name, value);
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+/* cache.put moves an entry to the end, so the oldest entries come first */
+async function trimCache(cache, max) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(keys.length - max, 0)).map(k => cache.delete(k)));
+}
+
+/* Push alerts arrive as { title, body, url, tag }; the tag stops one story showing twice */
+self.addEventListener('push', event => {
+  let alert = {};
+  try { alert = event.data ? event.data.json() : {}; } catch { /* not ours */ }
+  event.waitUntil(self.registration.showNotification(alert.title || 'ClimateJustice.news', {
+    body: alert.body || '',
+    tag: alert.tag,
+    icon: '/icon-192.png',
+    badge: '/icon-192.png',
+    data: { url: alert.url || '/' },
+  }));
+});
+
+self.addEventListener('notificationclick', event => {
+  event.notification.close();
+  event.waitUntil(self.clients.openWindow(event.notification.data?.url || '/'));
+});
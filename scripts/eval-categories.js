@@ -0,0 +1,65 @@
+// Measure the categoriser against a hand-labelled fixture.
+//
+//   npm run eval:categories [-- --fixture path/to.json] [--min 0.8] [--verbose]
+//
+// Each fixture item is { title, description, labels }, primary label first. Reports how often
+// the primary category matches, plus multi-label precision / recall / F1, and exits non-zero
+// when primary accuracy falls below --min so keyword edits can be checked in CI.
+const fs = require('fs');
+const path = require('path');
+const { classify } = require('../server');
+
+function argValue(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+}
+
+const fixturePath = argValue('fixture', path.join(__dirname, '..', 'fixtures', 'categories-labelled.json'));
+const minAccuracy = Number(argValue('min', 0.8));
+const verbose = process.argv.includes('--verbose');
+
+const items = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+let primaryHits = 0;
+let truePositives = 0;
+let predictedCount = 0;
+let expectedCount = 0;
+const misses = [];
+
+for (const item of items) {
+  const { category, categories } = classify(item);
+  const predicted = categories.map(c => c.name);
+  const overlap = predicted.filter(name => item.labels.includes(name)).length;
+
+  if (category === item.labels[0]) primaryHits++;
+  else misses.push({ title: item.title, expected: item.labels, predicted: categories });
+  truePositives += overlap;
+  predictedCount += predicted.length;
+  expectedCount += item.labels.length;
+}
+
+const pct = n => `${(n * 100).toFixed(1)}%`;
+const accuracy = primaryHits / items.length;
+const precision = truePositives / predictedCount;
+const recall = truePositives / expectedCount;
+const f1 = precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+
+console.log(`Labelled articles: ${items.length}`);
+console.log(`Primary accuracy:  ${pct(accuracy)} (${primaryHits}/${items.length})`);
+console.log(`Label precision:   ${pct(precision)}`);
+console.log(`Label recall:      ${pct(recall)}`);
+console.log(`Label F1:          ${pct(f1)}`);
+
+if (verbose && misses.length) {
+  console.log('\nPrimary misses:');
+  for (const m of misses) {
+    const got = m.predicted.map(c => `${c.name} ${c.weight}`).join(', ');
+    console.log(`  - ${m.title}\n      expected ${m.expected.join(', ')}; got ${got}`);
+  }
+}
+
+// server.js keeps timers running, so exit explicitly
+if (accuracy < minAccuracy) {
+  console.error(`\nPrimary accuracy ${pct(accuracy)} is below the ${pct(minAccuracy)} minimum`);
+  process.exit(1);
+}
+process.exit(0);